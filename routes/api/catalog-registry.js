@@ -0,0 +1,137 @@
+// routes/api/catalog-registry.js - Movie lists shared by every model, loaded once
+const fs = require("fs");
+const path = require("path");
+const { getListPoolMovies, listListPools } = require("./list-pools");
+
+const publicDir = path.join(__dirname, "../../public");
+const manifestPath = path.join(publicDir, "catalogs.json");
+
+let manifest = null;
+const catalogs = new Map(); // id -> { id, name, description, file, aliases, movies }
+const aliases = new Map(); // alias or id -> id
+const moviesById = new Map();
+
+let loadPromise = null;
+
+/**
+ * Load the manifest and every catalog it lists. Safe to call repeatedly;
+ * files are only read the first time.
+ */
+function loadCatalogs() {
+  if (loadPromise) return loadPromise;
+
+  loadPromise = (async () => {
+    const content = await fs.promises.readFile(manifestPath, "utf-8");
+    manifest = JSON.parse(content);
+
+    for (const entry of manifest.catalogs) {
+      const movies = JSON.parse(
+        await fs.promises.readFile(path.join(publicDir, entry.file), "utf-8")
+      );
+
+      catalogs.set(entry.id, { aliases: [], ...entry, movies });
+      aliases.set(entry.id, entry.id);
+      for (const alias of entry.aliases || []) {
+        aliases.set(alias, entry.id);
+      }
+
+      // The manifest order decides which record wins for a shared id
+      for (const movie of movies) {
+        if (!moviesById.has(movie.id)) moviesById.set(movie.id, movie);
+      }
+    }
+  })();
+
+  // Allow a retry on the next call if loading failed
+  loadPromise.catch(() => {
+    loadPromise = null;
+  });
+
+  return loadPromise;
+}
+
+function ensureLoaded() {
+  if (!manifest) {
+    throw new Error("Catalogs are not loaded yet, call loadCatalogs() first");
+  }
+}
+
+/**
+ * Canonical id for a catalog id or one of its (legacy) aliases
+ */
+function resolveCatalogId(key) {
+  return aliases.get(key) || null;
+}
+
+/**
+ * The catalog used when no (or an unknown) movie_list is given
+ */
+function getDefaultCatalog() {
+  ensureLoaded();
+  return catalogs.get(manifest.default).movies;
+}
+
+/**
+ * Movies of a catalog or custom list pool, or null if the key is unknown
+ */
+function getCatalog(key) {
+  ensureLoaded();
+  const id = resolveCatalogId(key);
+  if (id) return catalogs.get(id).movies;
+  return getListPoolMovies(key);
+}
+
+/**
+ * Look a movie up by TMDB id across every catalog
+ */
+function getMovieById(id) {
+  ensureLoaded();
+  return moviesById.get(id) || null;
+}
+
+/**
+ * Every distinct movie across the catalogs
+ */
+function getAllMovies() {
+  ensureLoaded();
+  return [...moviesById.values()];
+}
+
+/**
+ * Metadata of every catalog and custom list pool, for clients to pick from
+ */
+function listCatalogs() {
+  ensureLoaded();
+
+  const builtIn = [...catalogs.values()].map((catalog) => ({
+    id: catalog.id,
+    name: catalog.name,
+    description: catalog.description || "",
+    aliases: catalog.aliases,
+    size: catalog.movies.length,
+    source: "catalog",
+    default: catalog.id === manifest.default,
+  }));
+
+  const pools = listListPools().map((pool) => ({
+    id: pool.id,
+    name: pool.name,
+    description: pool.url,
+    aliases: [],
+    size: pool.size,
+    source: "letterboxd-list",
+    default: false,
+  }));
+
+  return [...builtIn, ...pools];
+}
+
+module.exports = {
+  loadCatalogs,
+  resolveCatalogId,
+  getDefaultCatalog,
+  getCatalog,
+  getMovieById,
+  getAllMovies,
+  listCatalogs,
+};
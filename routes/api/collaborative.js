@@ -0,0 +1,303 @@
+// routes/api/collaborative.js - Matrix factorization (ALS) over many users' ratings
+const fs = require("fs");
+const path = require("path");
+const { seededRandom } = require("./random");
+
+// Item factors survive restarts here; users are folded in on every request
+const modelPath =
+  process.env.COLLABORATIVE_MODEL_PATH ||
+  path.join(__dirname, "../../data/collaborative/model.json");
+
+// Latest trained model: { items: Map id -> { bias, factors }, ...summary }
+let collaborativeModel = null;
+
+/**
+ * Solve A x = b for a small dense system (Gaussian elimination, partial pivoting)
+ */
+function solveLinear(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Ridge regression: weights w minimizing |X w - y|^2 + lambda * n * |w|^2
+ * @param {Array} rows - Feature vectors X
+ * @param {Array} targets - y
+ */
+function ridgeSolve(rows, targets, lambda) {
+  const size = rows[0].length;
+  const A = Array.from({ length: size }, () => new Array(size).fill(0));
+  const b = new Array(size).fill(0);
+
+  rows.forEach((row, r) => {
+    for (let i = 0; i < size; i++) {
+      b[i] += row[i] * targets[r];
+      for (let j = 0; j < size; j++) A[i][j] += row[i] * row[j];
+    }
+  });
+  // Regularization grows with the number of ratings (weighted-lambda ALS)
+  for (let i = 0; i < size; i++) A[i][i] += lambda * rows.length;
+
+  return solveLinear(A, b);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Latent factors of a user from their ratings, keeping the item factors fixed.
+ * This is one ALS user step, so new users need no retraining.
+ * @returns {Array|null} Factors, or null if none of the films are in the model
+ */
+function foldInUser(model, userRatings) {
+  const known = userRatings.filter((rating) => model.items.has(rating.id));
+  if (known.length === 0) return null;
+
+  return ridgeSolve(
+    known.map((rating) => model.items.get(rating.id).factors),
+    known.map(
+      (rating) =>
+        rating.user_rating - model.mean - model.items.get(rating.id).bias
+    ),
+    model.lambda
+  );
+}
+
+/**
+ * Predicted rating of a folded-in user for a film, relative to the mean rating
+ */
+function predictScore(model, userFactors, movieId) {
+  const item = model.items.get(movieId);
+  return item.bias + dot(userFactors, item.factors);
+}
+
+/**
+ * Train item factors and biases with alternating least squares
+ * @param {Array} users - [{ username, userRatings }]
+ * @param {Object} options - { factors, iterations, lambda, minItemRatings, seed }
+ * @returns {Object} The trained model
+ */
+function trainCollaborativeModel(
+  users,
+  {
+    factors = 16,
+    iterations = 15,
+    lambda = 0.1,
+    minItemRatings = 2,
+    seed = 42,
+  } = {}
+) {
+  // Films rated by too few users would only be fitted to noise
+  const itemCounts = new Map();
+  for (const { userRatings } of users) {
+    for (const rating of userRatings) {
+      itemCounts.set(rating.id, (itemCounts.get(rating.id) || 0) + 1);
+    }
+  }
+
+  const keptRatings = users
+    .map(({ userRatings }) =>
+      userRatings.filter(
+        (rating) => itemCounts.get(rating.id) >= minItemRatings
+      )
+    )
+    .filter((userRatings) => userRatings.length > 0);
+
+  // Ratings are centered on the overall mean. There is no per-user bias: a
+  // folded-in user who only rated favorites would have it absorb everything.
+  const allRatings = keptRatings.flat();
+  const mean = allRatings.length
+    ? allRatings.reduce((sum, rating) => sum + rating.user_rating, 0) /
+      allRatings.length
+    : 0;
+  const userRows = keptRatings.map((userRatings) =>
+    userRatings.map((rating) => ({
+      id: rating.id,
+      value: rating.user_rating - mean,
+    }))
+  );
+
+  const itemRows = new Map();
+  userRows.forEach((ratings, userIndex) => {
+    for (const { id, value } of ratings) {
+      if (!itemRows.has(id)) itemRows.set(id, []);
+      itemRows.get(id).push({ userIndex, value });
+    }
+  });
+
+  const random = seededRandom(seed);
+  const items = new Map();
+  for (const id of itemRows.keys()) {
+    items.set(id, {
+      bias: 0,
+      factors: Array.from({ length: factors }, () => (random() - 0.5) * 0.1),
+    });
+  }
+
+  let userFactors = [];
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // Users, with the item factors and biases fixed
+    userFactors = userRows.map((ratings) =>
+      ridgeSolve(
+        ratings.map(({ id }) => items.get(id).factors),
+        ratings.map(({ id, value }) => value - items.get(id).bias),
+        lambda
+      )
+    );
+
+    // Items, with the user factors fixed; a constant 1 feature learns the bias
+    for (const [id, ratings] of itemRows) {
+      const solution = ridgeSolve(
+        ratings.map(({ userIndex }) => [...userFactors[userIndex], 1]),
+        ratings.map(({ value }) => value),
+        lambda
+      );
+      items.set(id, {
+        bias: solution[factors],
+        factors: solution.slice(0, factors),
+      });
+    }
+  }
+
+  let squaredError = 0;
+  let ratingCount = 0;
+  userRows.forEach((ratings, userIndex) => {
+    for (const { id, value } of ratings) {
+      const item = items.get(id);
+      const error =
+        value - item.bias - dot(userFactors[userIndex], item.factors);
+      squaredError += error * error;
+      ratingCount++;
+    }
+  });
+
+  return {
+    items,
+    mean,
+    factors,
+    iterations,
+    lambda,
+    minItemRatings,
+    users: userRows.length,
+    ratings: ratingCount,
+    rmse: ratingCount ? Math.sqrt(squaredError / ratingCount) : null,
+    trainedAt: new Date(),
+  };
+}
+
+/**
+ * Everything about the model except the factors themselves
+ */
+function summarizeModel(model) {
+  return {
+    users: model.users,
+    items: model.items.size,
+    ratings: model.ratings,
+    mean: model.mean,
+    factors: model.factors,
+    iterations: model.iterations,
+    lambda: model.lambda,
+    minItemRatings: model.minItemRatings,
+    rmse: model.rmse,
+    trainedAt: model.trainedAt,
+  };
+}
+
+async function saveCollaborativeModel(model) {
+  await fs.promises.mkdir(path.dirname(modelPath), { recursive: true });
+  await fs.promises.writeFile(
+    modelPath,
+    JSON.stringify({
+      ...summarizeModel(model),
+      items: [...model.items].map(([id, item]) => ({ id, ...item })),
+    })
+  );
+}
+
+/**
+ * Load the saved model, if training has run before
+ */
+async function loadCollaborativeModel() {
+  let saved;
+  try {
+    saved = JSON.parse(await fs.promises.readFile(modelPath, "utf-8"));
+  } catch (error) {
+    return null;
+  }
+
+  collaborativeModel = {
+    ...saved,
+    items: new Map(
+      saved.items.map(({ id, bias, factors }) => [id, { bias, factors }])
+    ),
+  };
+  return collaborativeModel;
+}
+
+/**
+ * Serve recommendations from a newly trained model and save it
+ * @param {Object} model - Result of trainCollaborativeModel
+ */
+async function replaceCollaborativeModel(model) {
+  collaborativeModel = model;
+
+  try {
+    await saveCollaborativeModel(model);
+  } catch (error) {
+    // The new model still serves requests until the next restart
+    console.error(`Failed to save the collaborative model: ${error.message}`);
+  }
+  return model;
+}
+
+function getCollaborativeModel() {
+  return collaborativeModel;
+}
+
+/**
+ * Throw a NOT_TRAINED error if there is no model to recommend from yet
+ */
+function checkCollaborativeModel() {
+  if (collaborativeModel) return;
+
+  const error = new Error(
+    "The collaborative model has not been trained yet, POST /model5/train first"
+  );
+  error.code = "NOT_TRAINED";
+  throw error;
+}
+
+module.exports = {
+  foldInUser,
+  predictScore,
+  trainCollaborativeModel,
+  summarizeModel,
+  loadCollaborativeModel,
+  replaceCollaborativeModel,
+  getCollaborativeModel,
+  checkCollaborativeModel,
+};
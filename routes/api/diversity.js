@@ -0,0 +1,83 @@
+// routes/api/diversity.js - Maximal marginal relevance reranking of recommendations
+const { genreSimilarity, eraSimilarity } = require("./movie-similarity");
+
+// Only this many times the final list size is considered for reranking...
+const CANDIDATE_POOL_FACTOR = 4;
+// ...and at most this many films beyond it, so long rankings stay cheap
+const MAX_EXTRA_CANDIDATES = 300;
+
+/**
+ * How alike two recommendations are, from 0 to 1
+ */
+function movieSimilarity(a, b) {
+  return (genreSimilarity(a, b) + eraSimilarity(a, b)) / 2;
+}
+
+/**
+ * Pick the final list from candidates sorted by score. With diversity 0 this
+ * is the plain top of the list; higher values trade score for films unlike
+ * the ones already picked (genres and release year).
+ * @param {Array} sorted - Candidates with a score, best first
+ * @param {number} diversity - 0 (score only) to 1 (variety only)
+ * @param {number} limit - Size of the final list
+ */
+function rerankByDiversity(sorted, diversity, limit) {
+  if (!diversity || sorted.length <= 1) return sorted.slice(0, limit);
+
+  const pool = sorted.slice(
+    0,
+    Math.min(limit * CANDIDATE_POOL_FACTOR, limit + MAX_EXTRA_CANDIDATES)
+  );
+
+  // Scores differ in scale between models, so compare them within the pool
+  const scores = pool.map((movie) => movie.score);
+  const maxScore = Math.max(...scores);
+  const minScore = Math.min(...scores);
+  const relevance = scores.map((score) =>
+    maxScore > minScore ? (score - minScore) / (maxScore - minScore) : 1
+  );
+
+  const selected = [];
+  // Pool indexes not picked yet, and the highest similarity of each
+  // candidate to anything selected
+  const remaining = pool.map((movie, index) => index);
+  const maxSimilarity = new Array(pool.length).fill(0);
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestAt = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((index, at) => {
+      const value =
+        (1 - diversity) * relevance[index] - diversity * maxSimilarity[index];
+      if (value > bestValue) {
+        bestAt = at;
+        bestValue = value;
+      }
+    });
+
+    const [best] = remaining.splice(bestAt, 1);
+    selected.push(pool[best]);
+
+    for (const index of remaining) {
+      maxSimilarity[index] = Math.max(
+        maxSimilarity[index],
+        movieSimilarity(pool[index], pool[best])
+      );
+    }
+  }
+
+  return selected;
+}
+
+// Request schema property shared by the model routes
+const diversitySchemaProperties = {
+  // 0 keeps the plain score order, 1 favors variety in genre and era
+  diversity: { type: "number", minimum: 0, maximum: 1, default: 0 },
+};
+
+module.exports = {
+  movieSimilarity,
+  rerankByDiversity,
+  diversitySchemaProperties,
+};
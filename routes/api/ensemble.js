@@ -0,0 +1,344 @@
+// routes/api/ensemble.js - Blend of several models' rankings for the same user
+const model1 = require("./model1");
+const model2 = require("./model2");
+const model3 = require("./model3");
+const model4 = require("./model4");
+const model5 = require("./model5");
+const { trainingPool } = require("./worker-pool");
+const { checkCollaborativeModel } = require("./collaborative");
+const { watchlistSchemaProperties } = require("./watchlist");
+const { watchedSchemaProperties } = require("./watched");
+const { languageSchemaProperties } = require("./languages");
+const { eraSchemaProperties } = require("./eras");
+const { rerankByDiversity, diversitySchemaProperties } = require("./diversity");
+const {
+  MAX_RANKED_RESULTS,
+  createResultPage,
+  getResultPage,
+  paginationSchemaProperties,
+  pageResponseSchema,
+} = require("./result-cache");
+const { recommendationSchema } = require("./letterboxd-schema");
+
+const models = { model1, model2, model3, model4, model5 };
+
+// Models trained per request in the worker pool
+const TRAINED_MODELS = ["model1", "model2"];
+
+/**
+ * Put a model's scores on a scale shared by every model
+ * @param {Array} ranked - Recommendations, best first
+ * @param {string} normalization - "rank" or "zscore"
+ * @returns {Object} { scores: Map id -> normalized, missing } where missing
+ *   is what a film the model did not return gets
+ */
+function normalizeScores(ranked, normalization) {
+  if (normalization === "zscore") {
+    const mean =
+      ranked.reduce((sum, movie) => sum + movie.score, 0) / ranked.length;
+    const std = Math.sqrt(
+      ranked.reduce((sum, movie) => sum + (movie.score - mean) ** 2, 0) /
+        ranked.length
+    );
+    const scores = new Map(
+      ranked.map((movie) => [movie.id, std ? (movie.score - mean) / std : 0])
+    );
+    return { scores, missing: Math.min(...scores.values()) };
+  }
+
+  // Rank-based: 1 for the top film down to 1/n for the last one
+  return {
+    scores: new Map(
+      ranked.map((movie, index) => [movie.id, 1 - index / ranked.length])
+    ),
+    missing: 0,
+  };
+}
+
+/**
+ * Whether a model could return the film at all. Only model5 can't score
+ * every candidate: it has no factors for films no stored user rated.
+ */
+function canScore(name, movie) {
+  return !models[name].canRecommend || models[name].canRecommend(movie);
+}
+
+/**
+ * Run the weighted models on the same candidates and merge their rankings
+ * @param {Object} options - The POST body: shared model options plus
+ *   weights, normalization, diversity, minVoteCount and modelOptions
+ * @returns {Promise<Array>} Films with the blended score and, per model,
+ *   { score, rank, normalizedScore }. rank is null if the model didn't
+ *   return the film, normalizedScore too if it couldn't have.
+ */
+async function generateEnsemble({
+  weights,
+  normalization = "rank",
+  diversity = 0,
+  minVoteCount = 20,
+  modelOptions = {},
+  ...sharedOptions
+}) {
+  const selected = Object.keys(weights).filter((name) => weights[name] > 0);
+
+  // Shared options (ratings, list, watchlist, watched, filters) and one
+  // vote threshold give every model the same candidates
+  const rankings = await Promise.all(
+    selected.map((name) =>
+      models[name].generateRecommendations({
+        ...sharedOptions,
+        ...(modelOptions[name] || {}),
+        minVoteCount,
+      })
+    )
+  );
+
+  const normalized = rankings.map((ranked) =>
+    ranked.length
+      ? normalizeScores(ranked, normalization)
+      : { scores: new Map(), missing: 0 }
+  );
+
+  const merged = new Map();
+  selected.forEach((name, modelIndex) => {
+    const { scores } = normalized[modelIndex];
+    rankings[modelIndex].forEach((movie, index) => {
+      if (!merged.has(movie.id)) {
+        merged.set(movie.id, { ...movie, models: {} });
+      }
+      merged.get(movie.id).models[name] = {
+        score: movie.score,
+        rank: index + 1,
+        normalizedScore: scores.get(movie.id),
+      };
+    });
+  });
+
+  const blended = [...merged.values()]
+    .map((movie) => {
+      // Films a model ranked below the list it returned count as its worst;
+      // a model that can't score the film is left out of its blend
+      const scoring = selected.filter(
+        (name) => movie.models[name] || canScore(name, movie)
+      );
+      selected.forEach((name, modelIndex) => {
+        if (!movie.models[name]) {
+          movie.models[name] = {
+            score: null,
+            rank: null,
+            normalizedScore: scoring.includes(name)
+              ? normalized[modelIndex].missing
+              : null,
+          };
+        }
+      });
+
+      const scoringWeight = scoring.reduce(
+        (sum, name) => sum + weights[name],
+        0
+      );
+      return {
+        ...movie,
+        score:
+          scoring.reduce(
+            (sum, name) =>
+              sum + weights[name] * movie.models[name].normalizedScore,
+            0
+          ) / scoringWeight,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return rerankByDiversity(blended, diversity, MAX_RANKED_RESULTS);
+}
+
+const modelContributionSchema = {
+  type: "object",
+  properties: {
+    score: { type: ["number", "null"] },
+    rank: { type: ["number", "null"] },
+    // null when the model can't score the film
+    normalizedScore: { type: ["number", "null"] },
+  },
+};
+
+const ensembleRecommendationSchema = {
+  ...recommendationSchema,
+  properties: {
+    ...recommendationSchema.properties,
+    models: {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.keys(models).map((name) => [name, modelContributionSchema])
+      ),
+    },
+  },
+};
+
+// Body properties the ensemble sets for every model
+const sharedProperties = {
+  userRatings: {
+    type: "array",
+    items: {
+      type: "object",
+      required: ["genre_ids", "user_rating", "id"],
+      properties: {
+        genre_ids: { type: "array", items: { type: "number" } },
+        user_rating: { type: "number" },
+        id: { type: "number" },
+      },
+    },
+  },
+  // How much each model counts; models left out or at 0 are not run
+  weights: {
+    type: "object",
+    properties: Object.fromEntries(
+      Object.keys(models).map((name) => [name, { type: "number", minimum: 0 }])
+    ),
+    additionalProperties: false,
+    default: { model1: 1, model2: 1, model3: 1 },
+  },
+  // "rank" compares positions, "zscore" compares standardized scores
+  normalization: {
+    type: "string",
+    enum: ["rank", "zscore"],
+    default: "rank",
+  },
+  userPreferredGenre: {
+    type: ["array", "null"],
+    items: { type: "number" },
+    default: null,
+  },
+  ...watchlistSchemaProperties,
+  ...watchedSchemaProperties,
+  ...languageSchemaProperties,
+  ...eraSchemaProperties,
+  ...diversitySchemaProperties,
+  ...paginationSchemaProperties,
+  movie_list: { type: "string" },
+  // Films with fewer votes are left out for every model, in place of
+  // each model's own threshold, so all of them rank the same candidates
+  minVoteCount: { type: "integer", minimum: 0, default: 20 },
+};
+
+// Model route options that mean nothing inside the ensemble
+const ROUTE_ONLY_OPTIONS = ["async", "explain"];
+
+/**
+ * Schema of one model's modelOptions: its own route's body properties,
+ * without the ones the ensemble sets for every model
+ */
+function modelOptionsSchema(name) {
+  const properties = { ...models[name].bodySchema.properties };
+  for (const key of [...Object.keys(sharedProperties), ...ROUTE_ONLY_OPTIONS]) {
+    delete properties[key];
+  }
+  return { type: "object", properties, additionalProperties: false };
+}
+
+const ensembleSchema = {
+  body: {
+    type: "object",
+    properties: {
+      ...sharedProperties,
+      // Options for a single model, e.g. { model1: { genreWeight: 2 } },
+      // checked against that model's own route schema
+      modelOptions: {
+        type: "object",
+        properties: Object.fromEntries(
+          Object.keys(models).map((name) => [name, modelOptionsSchema(name)])
+        ),
+        additionalProperties: false,
+        default: {},
+      },
+    },
+  },
+  response: {
+    200: pageResponseSchema(ensembleRecommendationSchema),
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+    500: {
+      type: "object",
+      properties: {
+        error: { type: "string" },
+      },
+    },
+    503: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  // Endpoint to get blended recommendations
+  fastify.post("/", { schema: ensembleSchema }, async (request, reply) => {
+    try {
+      const { userRatings, weights, cursor, offset, limit, legacyArray } =
+        request.body;
+
+      // Later pages come from the stored ranking, without recomputing it
+      if (cursor) {
+        const page = await getResultPage("ensemble", cursor, limit);
+        if (!page) {
+          return reply.code(400).send({ message: "Invalid or expired cursor" });
+        }
+        return legacyArray ? page.results : page;
+      }
+
+      if (!userRatings || userRatings.length === 0) {
+        return reply.code(400).send({ message: "No user data" });
+      }
+
+      if (!Object.values(weights).some((weight) => weight > 0)) {
+        return reply
+          .code(400)
+          .send({ message: "At least one model needs a positive weight" });
+      }
+
+      // Refuse up front instead of failing halfway through the models;
+      // each trained model queues a task of its own
+      trainingPool.checkCapacity(
+        TRAINED_MODELS.filter((name) => weights[name] > 0).length
+      );
+      if (weights.model5 > 0) {
+        checkCollaborativeModel();
+      }
+
+      const page = await createResultPage(
+        "ensemble",
+        await generateEnsemble(request.body),
+        { offset, limit }
+      );
+      return legacyArray ? page.results : page;
+    } catch (error) {
+      // Every worker is busy and the queue is full
+      if (error.code === "QUEUE_FULL") {
+        return reply
+          .code(503)
+          .header("Retry-After", error.retryAfter)
+          .send({ message: error.message });
+      }
+
+      // Same answer as POST /model5 before the first training
+      if (error.code === "NOT_TRAINED") {
+        return reply.code(503).send({ message: error.message });
+      }
+
+      request.log.error(
+        `Error generating ensemble recommendations: ${error.message}`
+      );
+      return reply
+        .code(500)
+        .send({ error: "Failed to generate ensemble recommendations" });
+    }
+  });
+};
+
+module.exports.generateEnsemble = generateEnsemble;
@@ -0,0 +1,107 @@
+// routes/api/eras.js - Release era of catalog films, shared by the models
+const { getMovieById } = require("./catalog-registry");
+
+/**
+ * Release year of a film. Ratings only carry ids, so the catalog fills it in.
+ * @returns {number|null} The year, or null when no catalog knows it
+ */
+function releaseYear(movie) {
+  const year = parseInt(
+    movie.release_year || (getMovieById(movie.id) || {}).release_year
+  );
+  return isNaN(year) ? null : year;
+}
+
+function decadeOf(year) {
+  return year === null ? null : Math.floor(year / 10) * 10;
+}
+
+/**
+ * Learned decade affinity: each decade's share of the user's summed
+ * ratings, scaled so the user's favorite decade is 1
+ * @returns {Map} decade (e.g. 1950) -> affinity between 0 and 1
+ */
+function calculateDecadeAffinity(userRatings) {
+  const totals = new Map();
+
+  for (const rating of userRatings) {
+    const decade = decadeOf(releaseYear(rating));
+    if (decade === null) continue;
+    totals.set(decade, (totals.get(decade) || 0) + rating.user_rating);
+  }
+
+  const maxTotal = Math.max(...totals.values(), 0);
+  const affinity = new Map();
+  for (const [decade, total] of totals) {
+    affinity.set(decade, maxTotal > 0 ? total / maxTotal : 0);
+  }
+  return affinity;
+}
+
+/**
+ * Era preferences for one request
+ * @param {Array} userRatings - The user's ratings
+ * @param {Object} options - { yearFrom, yearTo, preferredDecades } from the body
+ * @returns {Object} { affinity: Map decade -> affinity, yearFrom, yearTo,
+ *   decades: Set of decades to keep, or null for any }
+ */
+function resolveEraPreferences(
+  userRatings,
+  { yearFrom = null, yearTo = null, preferredDecades = null } = {}
+) {
+  return {
+    affinity: calculateDecadeAffinity(userRatings),
+    yearFrom,
+    yearTo,
+    decades:
+      preferredDecades && preferredDecades.length > 0
+        ? new Set(preferredDecades.map((year) => decadeOf(year)))
+        : null,
+  };
+}
+
+/**
+ * Whether the year and decade filters leave a film out. Films without a
+ * known year only pass when no filter is set.
+ */
+function isExcludedByEra(movie, eraPreferences) {
+  const { yearFrom, yearTo, decades } = eraPreferences;
+  if (yearFrom === null && yearTo === null && decades === null) return false;
+
+  const year = releaseYear(movie);
+  if (year === null) return true;
+
+  return (
+    (yearFrom !== null && year < yearFrom) ||
+    (yearTo !== null && year > yearTo) ||
+    (decades !== null && !decades.has(decadeOf(year)))
+  );
+}
+
+/**
+ * Era feature of a film: the user's affinity for its decade, 0 if unknown
+ */
+function eraAffinity(movie, eraPreferences) {
+  return eraPreferences.affinity.get(decadeOf(releaseYear(movie))) || 0;
+}
+
+// Request schema properties shared by the model routes
+const eraSchemaProperties = {
+  // Only recommend films released in these years (inclusive)
+  yearFrom: { type: ["integer", "null"], default: null },
+  yearTo: { type: ["integer", "null"], default: null },
+  // Only recommend films from these decades, e.g. [1950, 1960]
+  preferredDecades: {
+    type: ["array", "null"],
+    items: { type: "integer", multipleOf: 10 },
+    default: null,
+  },
+};
+
+module.exports = {
+  releaseYear,
+  resolveEraPreferences,
+  isExcludedByEra,
+  eraAffinity,
+  eraSchemaProperties,
+};
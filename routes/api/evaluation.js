@@ -0,0 +1,408 @@
+// routes/api/evaluation.js - Offline comparison of the models on held-out ratings
+const fs = require("fs");
+const { getScrapingJob } = require("./letterboxd");
+const model1 = require("./model1");
+const model2 = require("./model2");
+const model3 = require("./model3");
+const model4 = require("./model4");
+const { getCatalog, getDefaultCatalog } = require("./catalog-registry");
+const { trainingPool } = require("./worker-pool");
+const { movieSimilarity } = require("./diversity");
+const { seededRandom, shuffle } = require("./random");
+
+const models = { model1, model2, model3, model4 };
+// Trained in the shared worker pool, one fold at a time
+const TRAINED_MODELS = ["model1", "model2"];
+
+/**
+ * Train/test splits of a user's ratings
+ * @param {Array} userRatings - Ratings, most recent first (as scraped)
+ * @param {Object} options - { split, holdout, folds, seed, relevantRating }
+ *   "leave-k-out" holds out `holdout` random liked films per fold;
+ *   "temporal" holds out the `holdout` most recent ratings once
+ * @returns {Array} [{ train, test }]
+ */
+function splitRatings(
+  userRatings,
+  { split = "leave-k-out", holdout = 5, folds = 5, seed = 42, relevantRating }
+) {
+  if (split === "temporal") {
+    return [
+      {
+        train: userRatings.slice(holdout),
+        test: userRatings.slice(0, holdout),
+      },
+    ];
+  }
+
+  const random = seededRandom(seed);
+  const liked = userRatings.filter(
+    (rating) => rating.user_rating >= relevantRating
+  );
+
+  return Array.from({ length: folds }, () => {
+    const heldOut = new Set(
+      shuffle(liked, random)
+        .slice(0, holdout)
+        .map((rating) => rating.id)
+    );
+    return {
+      train: userRatings.filter((rating) => !heldOut.has(rating.id)),
+      test: userRatings.filter((rating) => heldOut.has(rating.id)),
+    };
+  });
+}
+
+function average(values) {
+  const known = values.filter((value) => value !== null);
+  return known.length
+    ? known.reduce((sum, value) => sum + value, 0) / known.length
+    : null;
+}
+
+/**
+ * Accuracy of one top-k list against the held-out films the user liked.
+ * Recall and NDCG are null when none of the held-out films were liked.
+ */
+function accuracyMetrics(recommendedIds, relevantIds, k) {
+  const topIds = recommendedIds.slice(0, k);
+  const hits = topIds.filter((id) => relevantIds.has(id)).length;
+
+  if (relevantIds.size === 0) {
+    return { precision: hits / k, recall: null, ndcg: null };
+  }
+
+  // Binary gain: a hit counts the same whatever the user's rating was
+  const dcg = topIds.reduce(
+    (sum, id, index) =>
+      sum + (relevantIds.has(id) ? 1 / Math.log2(index + 2) : 0),
+    0
+  );
+  let idealDcg = 0;
+  for (let index = 0; index < Math.min(relevantIds.size, k); index++) {
+    idealDcg += 1 / Math.log2(index + 2);
+  }
+
+  return {
+    precision: hits / k,
+    recall: hits / relevantIds.size,
+    ndcg: dcg / idealDcg,
+  };
+}
+
+/**
+ * Mean self-information of the list, taking each film's share of the
+ * catalog's total popularity as the chance a user already knows it
+ */
+function novelty(recommendations, totalPopularity) {
+  return average(
+    recommendations.map((movie) =>
+      movie.popularity > 0 && totalPopularity > 0
+        ? -Math.log2(movie.popularity / totalPopularity)
+        : null
+    )
+  );
+}
+
+/**
+ * Mean dissimilarity (genres and release era) over every pair in the list
+ */
+function intraListDiversity(recommendations) {
+  const distances = [];
+  for (let i = 0; i < recommendations.length; i++) {
+    for (let j = i + 1; j < recommendations.length; j++) {
+      distances.push(
+        1 - movieSimilarity(recommendations[i], recommendations[j])
+      );
+    }
+  }
+  return average(distances);
+}
+
+/**
+ * Run each model on every split and score its top k against the held-out films
+ * @param {Array} userRatings - The user's ratings, most recent first
+ * @param {Object} options - { models, split, holdout, folds, seed, k,
+ *   relevantRating, movie_list, modelOptions }
+ * @returns {Promise<Object>} { folds, results: [{ model, ...metrics }] }
+ */
+async function evaluateModels(
+  userRatings,
+  {
+    models: modelNames = Object.keys(models),
+    split = "leave-k-out",
+    holdout = 5,
+    folds = 5,
+    seed = 42,
+    k = 10,
+    relevantRating = 7,
+    movie_list = null,
+    modelOptions = {},
+  } = {}
+) {
+  // Also loads the catalogs, and lets this run outside the server
+  await Promise.all(modelNames.map((name) => models[name].loadModelData()));
+  const catalog = getCatalog(movie_list) || getDefaultCatalog();
+  const totalPopularity = catalog.reduce(
+    (sum, movie) => sum + (movie.popularity || 0),
+    0
+  );
+
+  const splits = splitRatings(userRatings, {
+    split,
+    holdout,
+    folds,
+    seed,
+    relevantRating,
+  });
+
+  const results = [];
+  for (const name of modelNames) {
+    const perFold = [];
+    const recommendedIds = new Set();
+
+    for (const { train, test } of splits) {
+      // The seed also fixes model1 and model2's initial weights
+      const recommendations = (
+        await models[name].generateRecommendations({
+          ...modelOptions,
+          movie_list,
+          userRatings: train,
+          seed,
+        })
+      ).slice(0, k);
+
+      const relevantIds = new Set(
+        test
+          .filter((rating) => rating.user_rating >= relevantRating)
+          .map((rating) => rating.id)
+      );
+      recommendations.forEach((movie) => recommendedIds.add(movie.id));
+
+      perFold.push({
+        ...accuracyMetrics(
+          recommendations.map((movie) => movie.id),
+          relevantIds,
+          k
+        ),
+        novelty: novelty(recommendations, totalPopularity),
+        intraListDiversity: intraListDiversity(recommendations),
+      });
+    }
+
+    results.push({
+      model: name,
+      precisionAtK: average(perFold.map((fold) => fold.precision)),
+      recallAtK: average(perFold.map((fold) => fold.recall)),
+      ndcgAtK: average(perFold.map((fold) => fold.ndcg)),
+      // Share of the candidate catalog recommended in any fold
+      coverage: catalog.length ? recommendedIds.size / catalog.length : 0,
+      novelty: average(perFold.map((fold) => fold.novelty)),
+      intraListDiversity: average(
+        perFold.map((fold) => fold.intraListDiversity)
+      ),
+    });
+  }
+
+  return {
+    folds: splits.length,
+    heldOut: splits.map(({ test }) => test.length),
+    results,
+  };
+}
+
+const evaluationSchema = {
+  body: {
+    type: "object",
+    properties: {
+      userRatings: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["genre_ids", "user_rating", "id"],
+          properties: {
+            genre_ids: { type: "array", items: { type: "number" } },
+            user_rating: { type: "number" },
+            id: { type: "number" },
+          },
+        },
+      },
+      // Use the matched ratings of a stored scrape or import instead
+      jobId: { type: "string", minLength: 1 },
+      models: {
+        type: "array",
+        items: { type: "string", enum: Object.keys(models) },
+        minItems: 1,
+      },
+      split: {
+        type: "string",
+        enum: ["leave-k-out", "temporal"],
+        default: "leave-k-out",
+      },
+      // Ratings held out per fold
+      holdout: { type: "integer", minimum: 1, default: 5 },
+      // Leave-k-out only; temporal always has one split
+      folds: { type: "integer", minimum: 1, maximum: 20, default: 5 },
+      seed: { type: "integer", default: 42 },
+      k: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+      // Held-out films rated at least this (1-10) count as hits
+      relevantRating: { type: "number", default: 7 },
+      movie_list: { type: "string" },
+      // Passed to every model, e.g. weights or watched
+      modelOptions: { type: "object", default: {} },
+    },
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        folds: { type: "number" },
+        heldOut: { type: "array", items: { type: "number" } },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              model: { type: "string" },
+              precisionAtK: { type: ["number", "null"] },
+              recallAtK: { type: ["number", "null"] },
+              ndcgAtK: { type: ["number", "null"] },
+              coverage: { type: "number" },
+              novelty: { type: ["number", "null"] },
+              intraListDiversity: { type: ["number", "null"] },
+            },
+          },
+        },
+      },
+    },
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+    500: {
+      type: "object",
+      properties: {
+        error: { type: "string" },
+      },
+    },
+    503: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  // Endpoint comparing the models on the user's own held-out ratings.
+  // The seed fixes the splits and the trained models' initial weights.
+  fastify.post("/", { schema: evaluationSchema }, async (request, reply) => {
+    let { userRatings, jobId } = request.body;
+
+    if (jobId) {
+      const job = await getScrapingJob(jobId);
+      if (!job) {
+        return reply.code(400).send({ message: "Invalid job ID" });
+      }
+      userRatings = job.userRatings;
+    }
+
+    if (!userRatings || userRatings.length === 0) {
+      return reply.code(400).send({ message: "No user data" });
+    }
+    if (userRatings.length <= request.body.holdout) {
+      return reply
+        .code(400)
+        .send({ message: "Need more ratings than are held out" });
+    }
+    if (
+      request.body.split === "leave-k-out" &&
+      !userRatings.some(
+        (rating) => rating.user_rating >= request.body.relevantRating
+      )
+    ) {
+      return reply
+        .code(400)
+        .send({ message: "No ratings at or above relevantRating" });
+    }
+
+    try {
+      // Refuse up front instead of failing after the untrained models ran
+      const modelNames = request.body.models || Object.keys(models);
+      if (modelNames.some((name) => TRAINED_MODELS.includes(name))) {
+        trainingPool.checkCapacity();
+      }
+
+      return await evaluateModels(userRatings, request.body);
+    } catch (error) {
+      // Every worker is busy and the queue is full
+      if (error.code === "QUEUE_FULL") {
+        return reply
+          .code(503)
+          .header("Retry-After", error.retryAfter)
+          .send({ message: error.message });
+      }
+
+      request.log.error(`Error evaluating models: ${error.message}`);
+      return reply.code(500).send({ error: "Failed to evaluate models" });
+    }
+  });
+};
+
+/**
+ * Command line entry:
+ *   node routes/api/evaluation.js ratings.json [--models model1,model3]
+ *     [--split temporal] [--holdout 5] [--folds 5] [--seed 42] [--k 10]
+ *     [--relevantRating 7] [--movie_list id] [--out report.json]
+ * ratings.json holds a userRatings array (or { userRatings }). The report is
+ * printed, or written to --out since training logs share stdout.
+ */
+async function runCli(args) {
+  const [file, ...flags] = args;
+  if (!file) {
+    throw new Error(
+      "Usage: node routes/api/evaluation.js ratings.json [--option value]"
+    );
+  }
+
+  const options = {};
+  for (let i = 0; i < flags.length; i += 2) {
+    const name = flags[i].replace(/^--/, "");
+    const value = flags[i + 1];
+    if (value === undefined) throw new Error(`Missing value for --${name}`);
+
+    if (name === "models") options.models = value.split(",");
+    else if (["split", "movie_list", "out"].includes(name))
+      options[name] = value;
+    else if (!isNaN(Number(value))) options[name] = Number(value);
+    else throw new Error(`Unknown option --${name} ${value}`);
+  }
+
+  const input = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+  const userRatings = Array.isArray(input) ? input : input.userRatings;
+  const unknown = (options.models || []).filter((name) => !models[name]);
+  if (unknown.length) throw new Error(`Unknown models: ${unknown.join(", ")}`);
+
+  const { out, ...evaluationOptions } = options;
+  const report = await evaluateModels(userRatings, evaluationOptions);
+
+  const json = JSON.stringify(report, null, 2);
+  if (out) await fs.promises.writeFile(out, json);
+  else console.log(json);
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2))
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => trainingPool.close());
+}
+
+module.exports.evaluateModels = evaluateModels;
+module.exports.splitRatings = splitRatings;
+module.exports.accuracyMetrics = accuracyMetrics;
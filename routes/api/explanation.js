@@ -0,0 +1,148 @@
+// routes/api/explanation.js - Per-film breakdown of why a model recommended it
+const tf = require("@tensorflow/tfjs");
+const { genreList } = require("./genres");
+
+// Feature layout of model2 and model3: genre one-hot, then the scaled terms
+const genreFeatureNames = [
+  ...genreList.map((genreId) => ({ feature: "genre", genreId })),
+  { feature: "popularity" },
+  { feature: "voteAverage" },
+  { feature: "voteCount" },
+  { feature: "era" },
+];
+
+/**
+ * Pair feature values with what they added to the score, largest first.
+ * Genres the film doesn't have are left out.
+ * @param {Object} movie - The recommended film
+ * @param {Array} featureNames - [{ feature, genreId? }] in input order
+ * @param {Array} values - The film's input features
+ * @param {Array} contributions - Share of the score per feature
+ */
+function toContributions(movie, featureNames, values, contributions) {
+  return featureNames
+    .map((name, index) => ({
+      ...name,
+      value: values[index],
+      contribution: contributions[index],
+    }))
+    .filter(
+      (entry) =>
+        entry.feature !== "genre" || movie.genre_ids.includes(entry.genreId)
+    )
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
+/**
+ * Gradient x input attribution of a model's prediction for each row
+ * @param {Object} model - Trained tf.LayersModel
+ * @param {Array} inputs - Feature rows to explain
+ * @returns {Promise<Array>} One contribution per feature, per row
+ */
+async function gradientAttributions(model, inputs) {
+  if (inputs.length === 0) return [];
+
+  const attributions = tf.tidy(() => {
+    const inputTensor = tf.tensor2d(inputs);
+    // Rows are independent, so the gradient of the sum is per-row
+    const gradients = tf.grad((x) => model.predict(x).sum())(inputTensor);
+    return gradients.mul(inputTensor);
+  });
+
+  try {
+    return await attributions.array();
+  } finally {
+    attributions.dispose();
+  }
+}
+
+/**
+ * Boosts that fired for a film
+ * @param {Object} movie - The recommended film
+ * @param {Object} options - { userPreferredGenre, preferredGenreFactor, languageFactors, watchlist }
+ *   where languageFactors is [{ genreId, factor }] from languages.languageFactors
+ */
+function describeBoosts(
+  movie,
+  {
+    userPreferredGenre = null,
+    preferredGenreFactor,
+    languageFactors = [],
+    watchlist = null,
+  }
+) {
+  const boosts = [];
+
+  for (const genreId of userPreferredGenre || []) {
+    if (movie.genre_ids.includes(genreId)) {
+      boosts.push({
+        type: "preferredGenre",
+        genreId,
+        factor: preferredGenreFactor,
+      });
+    }
+  }
+
+  for (const { genreId, factor } of languageFactors) {
+    if (factor !== 1) boosts.push({ type: "language", genreId, factor });
+  }
+
+  if (watchlist && watchlist.mode === "boost" && watchlist.ids.has(movie.id)) {
+    boosts.push({ type: "watchlist", factor: watchlist.boost });
+  }
+
+  return boosts;
+}
+
+// Added to each recommendation when the request has explain: true
+const explanationSchema = {
+  type: "object",
+  properties: {
+    // "sum" (model3), "gradient" (model1, model2), "similarity" (model4)
+    // or "collaborative" (model5)
+    method: { type: "string" },
+    contributions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          feature: { type: "string" },
+          genreId: { type: "number" },
+          value: { type: "number" },
+          contribution: { type: "number" },
+        },
+      },
+    },
+    boosts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          type: { type: "string" },
+          genreId: { type: "number" },
+          factor: { type: "number" },
+        },
+      },
+    },
+    similarRatedFilms: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "number" },
+          title: { type: "string" },
+          userRating: { type: "number" },
+          similarity: { type: "number" },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  genreFeatureNames,
+  toContributions,
+  gradientAttributions,
+  describeBoosts,
+  explanationSchema,
+};
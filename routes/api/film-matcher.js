@@ -0,0 +1,222 @@
+// routes/api/film-matcher.js - Resolve scraped Letterboxd films against the catalogs
+const { loadCatalogs, getAllMovies } = require("./catalog-registry");
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+let catalogIndexPromise = null;
+
+/**
+ * Normalize a title so that punctuation, accents and casing don't matter
+ */
+function normalizeTitle(title) {
+  return String(title || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Strip diacritics
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’`]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Drop a leading article ("The Thing" -> "thing") for a looser second lookup
+ */
+function stripArticle(normalizedTitle) {
+  return normalizedTitle.replace(/^(the|a|an) /, "");
+}
+
+function addToIndex(index, key, movie) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(movie);
+}
+
+/**
+ * Build a title index over every catalog in the registry (built once)
+ */
+async function loadCatalogIndex() {
+  if (catalogIndexPromise) return catalogIndexPromise;
+
+  catalogIndexPromise = (async () => {
+    await loadCatalogs();
+
+    const exact = new Map();
+    const loose = new Map();
+    const byId = new Map();
+    for (const movie of getAllMovies()) {
+      const key = normalizeTitle(movie.title);
+      addToIndex(exact, key, movie);
+      addToIndex(loose, stripArticle(key), movie);
+      byId.set(movie.id, movie);
+    }
+
+    return { exact, loose, byId };
+  })();
+
+  // Allow a retry on the next call if loading failed
+  catalogIndexPromise.catch(() => {
+    catalogIndexPromise = null;
+  });
+
+  return catalogIndexPromise;
+}
+
+/**
+ * Pick the best candidate for a scraped row and score how sure we are
+ */
+function pickCandidate(candidates, year) {
+  const byVotes = (a, b) => (b.vote_count || 0) - (a.vote_count || 0);
+
+  if (year) {
+    const sameYear = candidates.filter(
+      (m) => parseInt(m.release_year) === year
+    );
+    if (sameYear.length) {
+      return {
+        movie: sameYear.sort(byVotes)[0],
+        confidence: sameYear.length === 1 ? 1 : 0.9,
+      };
+    }
+
+    // TMDB and Letterboxd sometimes disagree on the release year by one
+    const nearYear = candidates.filter(
+      (m) => Math.abs(parseInt(m.release_year) - year) === 1
+    );
+    if (nearYear.length) {
+      return { movie: nearYear.sort(byVotes)[0], confidence: 0.75 };
+    }
+
+    return null;
+  }
+
+  return {
+    movie: [...candidates].sort(byVotes)[0],
+    confidence: candidates.length === 1 ? 0.7 : 0.5,
+  };
+}
+
+/**
+ * Match scraped rows ({Name, Year, "Letterboxd URI", Rating}) to catalog films
+ * @param {Array} films - Rows as produced by the scraper
+ * @param {Object} options - { minConfidence }
+ * @returns {Object} { matched, unmatched, stats }
+ */
+async function matchFilms(films, options = {}) {
+  const { minConfidence = DEFAULT_MIN_CONFIDENCE } = options;
+  const index = await loadCatalogIndex();
+
+  const matched = [];
+  const unmatched = [];
+
+  for (const film of films || []) {
+    const key = normalizeTitle(film.Name);
+    const year = parseInt(film.Year) || null;
+
+    let result = null;
+    const exactCandidates = index.exact.get(key);
+    if (exactCandidates) {
+      result = pickCandidate(exactCandidates, year);
+    }
+
+    if (!result) {
+      const looseCandidates = index.loose.get(stripArticle(key));
+      if (looseCandidates) {
+        result = pickCandidate(looseCandidates, year);
+        // Matching without the article is weaker evidence
+        if (result) result.confidence *= 0.9;
+      }
+    }
+
+    const row = {
+      name: film.Name,
+      year: film.Year || null,
+      uri: film["Letterboxd URI"],
+      rating: film.Rating || 0,
+    };
+
+    if (!result) {
+      unmatched.push({
+        ...row,
+        reason: exactCandidates ? "year-mismatch" : "not-in-catalog",
+      });
+      continue;
+    }
+
+    if (result.confidence < minConfidence) {
+      unmatched.push({ ...row, reason: "low-confidence" });
+      continue;
+    }
+
+    matched.push({
+      ...row,
+      id: result.movie.id,
+      title: result.movie.title,
+      release_year: result.movie.release_year,
+      genre_ids: (result.movie.genre_ids || []).filter(Boolean),
+      confidence: Math.round(result.confidence * 100) / 100,
+    });
+  }
+
+  const averageConfidence = matched.length
+    ? matched.reduce((sum, m) => sum + m.confidence, 0) / matched.length
+    : 0;
+
+  return {
+    matched,
+    unmatched,
+    stats: {
+      total: matched.length + unmatched.length,
+      matched: matched.length,
+      unmatched: unmatched.length,
+      averageConfidence: Math.round(averageConfidence * 100) / 100,
+    },
+  };
+}
+
+/**
+ * Convert matched rows into the userRatings payload the model routes expect.
+ * Letterboxd stars (0.5-5) become user_rating on the 1-10 scale; unrated
+ * rows are skipped and duplicate films keep their first (most recent) rating.
+ */
+function toUserRatings(matched) {
+  const seen = new Set();
+  const userRatings = [];
+
+  for (const film of matched) {
+    if (!film.rating || seen.has(film.id)) continue;
+    seen.add(film.id);
+
+    userRatings.push({
+      id: film.id,
+      genre_ids: film.genre_ids,
+      user_rating: film.rating * 2,
+    });
+  }
+
+  return userRatings;
+}
+
+/**
+ * Unique TMDB ids of matched rows, for lists without ratings (e.g. a watchlist)
+ */
+function toFilmIds(matched) {
+  return [...new Set(matched.map((film) => film.id))];
+}
+
+/**
+ * Full catalog records of matched rows, in list order and without duplicates
+ */
+async function toCatalogMovies(matched) {
+  const index = await loadCatalogIndex();
+  return toFilmIds(matched).map((id) => index.byId.get(id));
+}
+
+module.exports = {
+  normalizeTitle,
+  loadCatalogIndex,
+  matchFilms,
+  toUserRatings,
+  toFilmIds,
+  toCatalogMovies,
+};
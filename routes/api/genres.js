@@ -0,0 +1,20 @@
+// routes/api/genres.js - TMDB movie genres shared by the models
+
+// List of all possible genre IDs
+const genreList = [
+  28, 12, 16, 35, 80, 99, 18, 10751, 14, 36, 27, 10402, 9648, 10749, 878, 10770,
+  53, 10752, 37,
+];
+
+/**
+ * One-hot vector of a movie's genres over genreList
+ * @param {Array} genreIds - TMDB genre ids (0 entries are padding)
+ */
+function genreVector(genreIds) {
+  return genreList.map((genreId) => (genreIds.includes(genreId) ? 1 : 0));
+}
+
+module.exports = {
+  genreList,
+  genreVector,
+};
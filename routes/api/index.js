@@ -4,12 +4,37 @@ const letterboxd = require("./letterboxd");
 const model1 = require("./model1");
 const model2 = require("./model2");
 const model3 = require("./model3");
+const model4 = require("./model4");
+const model5 = require("./model5");
+const recommendations = require("./recommendations");
+const lists = require("./lists");
+const movies = require("./movies");
+const models = require("./models");
+const training = require("./training");
+const evaluation = require("./evaluation");
+const ensemble = require("./ensemble");
+const { closeRecommendationJobs } = require("./recommendation-jobs");
+const { closeResultCache } = require("./result-cache");
 
 module.exports = async function (fastify, opts) {
   fastify.register(letterboxd, { prefix: "/letterboxd" });
   fastify.register(model1, { prefix: "/model1" });
   fastify.register(model2, { prefix: "/model2" });
   fastify.register(model3, { prefix: "/model3" });
+  fastify.register(model4, { prefix: "/model4" });
+  fastify.register(model5, { prefix: "/model5" });
+  fastify.register(ensemble, { prefix: "/ensemble" });
+  fastify.register(recommendations, { prefix: "/recommendations" });
+  fastify.register(lists, { prefix: "/lists" });
+  fastify.register(movies, { prefix: "/movies" });
+  fastify.register(models, { prefix: "/models" });
+  fastify.register(training, { prefix: "/training" });
+  fastify.register(evaluation, { prefix: "/evaluation" });
+
+  fastify.addHook("onClose", async () => {
+    await closeRecommendationJobs();
+    await closeResultCache();
+  });
 
   // Root API route
   fastify.get("/", async (request, reply) => {
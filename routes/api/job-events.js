@@ -0,0 +1,110 @@
+// routes/api/job-events.js - Push job progress to clients as Server-Sent Events
+const { EventEmitter } = require("events");
+
+// Events only reach clients connected to the instance running the job;
+// the others learn that it finished by polling the store
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Events after which a job's stream ends
+const FINAL_EVENTS = new Set(["completed", "failed"]);
+
+const KEEP_ALIVE_MS = 15000;
+
+// How often the stored job is checked for a final state. Jobs running on
+// another instance (shared MongoDB store) publish their events there only.
+const POLL_MS = parseInt(process.env.JOB_EVENTS_POLL_MS) || 2000;
+
+/**
+ * Notify every client streaming this job
+ * @param {string} jobId - The job ID
+ * @param {string} event - Event name, e.g. "page", "epoch", "completed"
+ * @param {Object} data - JSON payload of the event
+ */
+function publishJobEvent(jobId, event, data) {
+  emitter.emit(jobId, { event, data });
+}
+
+/**
+ * Answer the request with an event stream for a job. Subscribes before
+ * reading the job so nothing published in between is lost.
+ * @param {Function} loadSnapshot - Resolves to the events describing the job
+ *   so far ([{ event, data }]), or null when there is no such job
+ */
+async function streamJobEvents(request, reply, jobId, loadSnapshot) {
+  const buffered = [];
+  let write = (message) => buffered.push(message);
+  const listener = (message) => write(message);
+  emitter.on(jobId, listener);
+
+  let snapshot;
+  try {
+    snapshot = await loadSnapshot();
+  } catch (error) {
+    emitter.off(jobId, listener);
+    throw error;
+  }
+
+  if (!snapshot) {
+    emitter.off(jobId, listener);
+    return reply.code(400).send({
+      message: "Invalid job ID",
+    });
+  }
+
+  // Take the raw response over, keeping headers set by hooks (e.g. CORS)
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    ...reply.getHeaders(),
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  let ended = false;
+  const keepAlive = setInterval(() => {
+    reply.raw.write(": keep-alive\n\n");
+  }, KEEP_ALIVE_MS);
+
+  let polling = false;
+  const poll = setInterval(async () => {
+    if (polling || ended) return;
+    polling = true;
+    try {
+      const latest = await loadSnapshot();
+      // Expired or deleted jobs will never finish
+      if (!latest) return end();
+      const final = latest.find(({ event }) => FINAL_EVENTS.has(event));
+      if (final) write(final);
+    } catch (error) {
+      request.log.warn(`Failed to poll job ${jobId}: ${error.message}`);
+    } finally {
+      polling = false;
+    }
+  }, POLL_MS);
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    clearInterval(keepAlive);
+    clearInterval(poll);
+    emitter.off(jobId, listener);
+    reply.raw.end();
+  };
+
+  write = ({ event, data }) => {
+    if (ended) return;
+    reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (FINAL_EVENTS.has(event)) end();
+  };
+
+  // Fires when the client disconnects
+  reply.raw.on("close", end);
+
+  for (const message of [...snapshot, ...buffered]) write(message);
+}
+
+module.exports = {
+  publishJobEvent,
+  streamJobEvents,
+};
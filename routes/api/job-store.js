@@ -0,0 +1,163 @@
+// routes/api/job-store.js - Pluggable storage for background jobs
+const v8 = require("v8");
+const { MongoClient } = require("mongodb");
+
+/**
+ * Drop jobs whose expiresAt has passed
+ */
+function isExpired(job) {
+  return Boolean(job && job.expiresAt && new Date(job.expiresAt) <= new Date());
+}
+
+/**
+ * Deep copy that keeps Dates, like structuredClone (Node 17+) does
+ */
+function clone(value) {
+  return v8.deserialize(v8.serialize(value));
+}
+
+/**
+ * In-memory job store. Jobs are cloned on the way in and out so callers
+ * have to save() their changes, exactly like with the MongoDB store.
+ */
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  const sweep = () => {
+    for (const [jobId, job] of jobs) {
+      if (isExpired(job)) jobs.delete(jobId);
+    }
+  };
+
+  return {
+    async create(jobId, job) {
+      sweep();
+      jobs.set(jobId, clone(job));
+    },
+
+    async get(jobId) {
+      const job = jobs.get(jobId);
+      if (!job) return null;
+      if (isExpired(job)) {
+        jobs.delete(jobId);
+        return null;
+      }
+      return clone(job);
+    },
+
+    async list() {
+      sweep();
+      return [...jobs].map(([jobId, job]) => ({
+        jobId,
+        ...clone(job),
+      }));
+    },
+
+    async save(jobId, job) {
+      jobs.set(jobId, clone(job));
+    },
+
+    async delete(jobId) {
+      jobs.delete(jobId);
+    },
+
+    async close() {
+      jobs.clear();
+    },
+  };
+}
+
+/**
+ * MongoDB job store. Takes a collection (or anything with the same
+ * find/findOne/insertOne/replaceOne/deleteOne/createIndex methods) so it can run
+ * against an in-process fake in tests.
+ * @param {Object} options - { collection, client }
+ */
+function createMongoJobStore({ collection, client = null }) {
+  let indexesReady = null;
+
+  // Let MongoDB purge expired jobs on its own
+  const ensureIndexes = () => {
+    if (!indexesReady) {
+      indexesReady = collection
+        .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        .catch((error) => {
+          indexesReady = null;
+          throw error;
+        });
+    }
+    return indexesReady;
+  };
+
+  const fromDocument = (doc) => {
+    if (!doc) return null;
+    const { _id, ...job } = doc;
+    return isExpired(job) ? null : job;
+  };
+
+  return {
+    async create(jobId, job) {
+      await ensureIndexes();
+      await collection.insertOne({ ...job, _id: jobId });
+    },
+
+    async get(jobId) {
+      return fromDocument(await collection.findOne({ _id: jobId }));
+    },
+
+    async list() {
+      const docs = await collection.find({}).toArray();
+      return docs
+        .map((doc) => {
+          const job = fromDocument(doc);
+          return job && { jobId: doc._id, ...job };
+        })
+        .filter(Boolean);
+    },
+
+    async save(jobId, job) {
+      await collection.replaceOne(
+        { _id: jobId },
+        { ...job, _id: jobId },
+        { upsert: true }
+      );
+    },
+
+    async delete(jobId) {
+      await collection.deleteOne({ _id: jobId });
+    },
+
+    async close() {
+      if (client) await client.close();
+    },
+  };
+}
+
+/**
+ * Create the job store configured through the environment.
+ * JOB_STORE=mongodb uses MONGODB_URI / MONGODB_DB, anything else keeps jobs in memory.
+ * @param {string} collectionName - Collection (MongoDB) holding this kind of job
+ */
+function createJobStore(collectionName) {
+  if ((process.env.JOB_STORE || "memory").toLowerCase() !== "mongodb") {
+    return createMemoryJobStore();
+  }
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error("JOB_STORE=mongodb requires MONGODB_URI to be set");
+  }
+
+  // The driver connects lazily on the first operation
+  const client = new MongoClient(process.env.MONGODB_URI);
+  const collection = client
+    .db(process.env.MONGODB_DB || "letterbox")
+    .collection(collectionName);
+
+  return createMongoJobStore({ collection, client });
+}
+
+module.exports = {
+  createMemoryJobStore,
+  createMongoJobStore,
+  createJobStore,
+};
@@ -0,0 +1,173 @@
+// routes/api/languages.js - Original language of catalog films, shared by the models
+const { getDefaultCatalog } = require("./catalog-registry");
+const { genreList } = require("./genres");
+
+// language_code values in the catalogs. Only the full catalog tells English
+// from other languages; the list catalogs have 0 for every film, so films
+// missing from the full catalog have no known language.
+const languages = [
+  { key: "en", code: 0, name: "English" },
+  { key: "non-en", code: 1, name: "Not English" },
+];
+
+const codesByKey = new Map(languages.map(({ key, code }) => [key, code]));
+
+// What a genre's weight is multiplied by when the user prefers a language
+const LANGUAGE_MATCH_BOOST = 2;
+const LANGUAGE_MISMATCH_FACTOR = 0.5;
+
+// Share of a genre's summed ratings a language needs to count as preferred
+const PREFERENCE_SHARE = 2 / 3;
+
+// Full catalog films by id, built on first use once the catalogs are loaded
+let fullCatalogById = null;
+
+/**
+ * language_code of a film from the full catalog
+ * @returns {number|null} The code, or null when the full catalog lacks the film
+ */
+function languageCode(movie) {
+  if (!fullCatalogById) {
+    fullCatalogById = new Map(getDefaultCatalog().map((m) => [m.id, m]));
+  }
+  const catalogMovie = fullCatalogById.get(movie.id);
+  return catalogMovie ? catalogMovie.language_code || 0 : null;
+}
+
+function toCodes(keys) {
+  return new Set((keys || []).map((key) => codesByKey.get(key)));
+}
+
+/**
+ * Per genre, the language holding most of the user's summed ratings
+ * @returns {Map} genreId -> language_code, only for genres with a clear preference
+ */
+function detectPreferredLanguages(userRatings) {
+  const totals = new Map(); // genreId -> Map code -> summed rating
+
+  for (const rating of userRatings) {
+    const code = languageCode(rating);
+    if (code === null) continue;
+    for (const genreId of rating.genre_ids) {
+      if (!genreList.includes(genreId)) continue;
+      if (!totals.has(genreId)) totals.set(genreId, new Map());
+      const byCode = totals.get(genreId);
+      byCode.set(code, (byCode.get(code) || 0) + rating.user_rating);
+    }
+  }
+
+  const preferred = new Map();
+  for (const [genreId, byCode] of totals) {
+    const [code, total] = [...byCode].reduce((a, b) => (b[1] > a[1] ? b : a));
+    const genreTotal = [...byCode.values()].reduce((sum, value) => sum + value);
+    if (total >= genreTotal * PREFERENCE_SHARE) preferred.set(genreId, code);
+  }
+  return preferred;
+}
+
+/**
+ * Language preferences for one request
+ * @param {Array} userRatings - The user's ratings
+ * @param {Object} options - { preferredLanguages, excludeLanguages } as
+ *   language keys; preferredLanguages replaces the detected preferences
+ * @returns {Object} { preferred: Set of codes for every genre, or null,
+ *   byGenre: Map genreId -> code, excluded: Set of codes }
+ */
+function resolveLanguagePreferences(
+  userRatings,
+  { preferredLanguages = null, excludeLanguages = null } = {}
+) {
+  const explicit = preferredLanguages && preferredLanguages.length > 0;
+
+  return {
+    preferred: explicit ? toCodes(preferredLanguages) : null,
+    byGenre: explicit ? new Map() : detectPreferredLanguages(userRatings),
+    excluded: toCodes(excludeLanguages),
+  };
+}
+
+/**
+ * Whether the film is in an excluded language. Films of unknown language
+ * are kept.
+ */
+function isExcludedByLanguage(movie, languagePreferences) {
+  const code = languageCode(movie);
+  return code !== null && languagePreferences.excluded.has(code);
+}
+
+/**
+ * Factor for one of a film's genres: boosted in a preferred language,
+ * reduced in any other, 1 when the user has no preference for the genre or
+ * the film's language is unknown
+ */
+function languageBoost(movie, genreId, languagePreferences) {
+  const { preferred, byGenre } = languagePreferences;
+  const code = languageCode(movie);
+  if (code === null) return 1;
+
+  if (preferred) {
+    return preferred.has(code)
+      ? LANGUAGE_MATCH_BOOST
+      : LANGUAGE_MISMATCH_FACTOR;
+  }
+  if (!byGenre.has(genreId)) return 1;
+  return byGenre.get(genreId) === code
+    ? LANGUAGE_MATCH_BOOST
+    : LANGUAGE_MISMATCH_FACTOR;
+}
+
+/**
+ * Apply the explicit preferredLanguages to a whole film's score, for the
+ * models that don't score per genre. Scores can be negative, so the factor
+ * scales the score's magnitude. Films of unknown language are left alone.
+ */
+function applyLanguageBoost(score, movie, languagePreferences) {
+  const { preferred } = languagePreferences;
+  const code = languageCode(movie);
+  if (!preferred || code === null) return score;
+
+  const factor = preferred.has(code)
+    ? LANGUAGE_MATCH_BOOST
+    : LANGUAGE_MISMATCH_FACTOR;
+  return score + Math.abs(score) * (factor - 1);
+}
+
+/**
+ * Language factors applied to a film, for describeBoosts
+ * @returns {Array} [{ genreId, factor }] for the film's genres
+ */
+function languageFactors(movie, languagePreferences) {
+  return movie.genre_ids
+    .filter((genreId) => genreList.includes(genreId))
+    .map((genreId) => ({
+      genreId,
+      factor: languageBoost(movie, genreId, languagePreferences),
+    }));
+}
+
+// Request schema properties shared by the model routes
+const languageSchemaProperties = {
+  // Boost these languages in every genre instead of the detected preferences
+  preferredLanguages: {
+    type: ["array", "null"],
+    items: { type: "string", enum: languages.map(({ key }) => key) },
+    default: null,
+  },
+  // Leave films in these languages out entirely
+  excludeLanguages: {
+    type: ["array", "null"],
+    items: { type: "string", enum: languages.map(({ key }) => key) },
+    default: null,
+  },
+};
+
+module.exports = {
+  languages,
+  languageCode,
+  resolveLanguagePreferences,
+  isExcludedByLanguage,
+  languageBoost,
+  applyLanguageBoost,
+  languageFactors,
+  languageSchemaProperties,
+};
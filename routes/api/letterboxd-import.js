@@ -0,0 +1,192 @@
+// routes/api/letterboxd-import.js - Read a Letterboxd data export ZIP
+const AdmZip = require("adm-zip");
+
+/**
+ * Parse CSV text (quoted fields, escaped quotes and newlines inside quotes)
+ * into objects keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, ""); // Strip the BOM if present
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.length > 1 || r[0] !== "");
+  if (!header) return [];
+
+  return records.map((record) =>
+    header.reduce((obj, column, index) => {
+      obj[column.trim()] = record[index] !== undefined ? record[index] : "";
+      return obj;
+    }, {})
+  );
+}
+
+// Name + year identifies a film across the export's files (URIs differ per file)
+function filmKey(row) {
+  return `${row.Name}|${row.Year}`;
+}
+
+function toFilmRow(row) {
+  return {
+    Name: row.Name,
+    Year: row.Year || null,
+    "Letterboxd URI": row["Letterboxd URI"],
+    Rating: parseFloat(row.Rating) || 0,
+  };
+}
+
+/**
+ * Order rows newest first, like the scraped pages. Rows without a date go last.
+ * @param {Function} dateOf - Row -> "YYYY-MM-DD" or null
+ */
+function newestFirst(rows, dateOf) {
+  return [...rows].sort((a, b) =>
+    (dateOf(b) || "").localeCompare(dateOf(a) || "")
+  );
+}
+
+/**
+ * Parse a Letterboxd export into the same row shapes the scraper emits.
+ * The CSVs are oldest first; ratings and diary entries are reordered newest
+ * first since consumers treat the first rows as the most recent.
+ * @param {Buffer} buffer - The uploaded ZIP
+ * @returns {Object} { profileData, ratings, diary, watched, watchlist }
+ */
+function parseLetterboxdExport(buffer) {
+  const zip = new AdmZip(buffer);
+
+  // Files sit at the root of the export (possibly inside one folder), while
+  // deleted/ and orphaned/ hold entries that should not be imported
+  const readCsv = (name) => {
+    const [entry] = zip
+      .getEntries()
+      .filter(
+        (e) =>
+          (e.entryName === name || e.entryName.endsWith(`/${name}`)) &&
+          !/(^|\/)(deleted|orphaned)\//.test(e.entryName)
+      )
+      .sort((a, b) => a.entryName.length - b.entryName.length);
+    return entry ? parseCsv(entry.getData().toString("utf-8")) : [];
+  };
+
+  const ratingsCsv = readCsv("ratings.csv");
+  const diaryCsv = readCsv("diary.csv");
+  const watchedCsv = readCsv("watched.csv");
+  const watchlistCsv = readCsv("watchlist.csv");
+  const reviewsCsv = readCsv("reviews.csv");
+  const likedCsv = readCsv("likes/films.csv");
+  const [profile] = readCsv("profile.csv");
+
+  if (!ratingsCsv.length && !diaryCsv.length && !watchedCsv.length) {
+    throw new Error(
+      "No ratings.csv, diary.csv or watched.csv found in the export"
+    );
+  }
+
+  const likedKeys = new Set(likedCsv.map(filmKey));
+  const ratingsByKey = new Map(
+    ratingsCsv.map((row) => [filmKey(row), parseFloat(row.Rating) || 0])
+  );
+  const reviewUris = new Map(
+    reviewsCsv.map((row) => [
+      `${filmKey(row)}|${row["Watched Date"]}`,
+      row["Letterboxd URI"],
+    ])
+  );
+
+  const diary = newestFirst(
+    diaryCsv.map((row) => ({
+      ...toFilmRow(row),
+      "Watched Date": row["Watched Date"] || null,
+      Rewatch: row.Rewatch === "Yes",
+      Liked: likedKeys.has(filmKey(row)),
+      "Review URI":
+        reviewUris.get(`${filmKey(row)}|${row["Watched Date"]}`) || null,
+    })),
+    (entry) => entry["Watched Date"]
+  );
+
+  // The day each rating was logged
+  const ratings = newestFirst(
+    ratingsCsv.map((row) => ({ ...toFilmRow(row), Date: row.Date || null })),
+    (row) => row.Date
+  );
+
+  const watched = watchedCsv.map((row) => {
+    const rating = ratingsByKey.get(filmKey(row)) || 0;
+    return { ...toFilmRow(row), Rating: rating, Rated: rating > 0 };
+  });
+
+  const currentYear = String(new Date().getFullYear());
+  const username = profile ? profile.Username : null;
+  const displayName = profile
+    ? [profile["Given Name"], profile["Family Name"]]
+        .filter(Boolean)
+        .join(" ") || profile.Username
+    : null;
+
+  return {
+    profileData: profile
+      ? {
+          displayName,
+          username,
+          avatarUrl: null,
+          location: profile.Location || null,
+          bio: profile.Bio || null,
+          stats: {
+            totalFilms: watched.length,
+            filmsThisYear: diary.filter((entry) =>
+              (entry["Watched Date"] || "").startsWith(currentYear)
+            ).length,
+            following: 0,
+            followers: 0,
+          },
+        }
+      : null,
+    ratings,
+    diary,
+    watched,
+    watchlist: watchlistCsv.map(toFilmRow),
+  };
+}
+
+module.exports = {
+  parseCsv,
+  parseLetterboxdExport,
+};
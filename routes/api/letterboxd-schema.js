@@ -1,10 +1,187 @@
 // routes/api/letterboxd-schema.js
+const { explanationSchema } = require("./explanation");
+const { languageCode } = require("./languages");
+
+const filmRowSchema = {
+  type: "object",
+  properties: {
+    Name: { type: "string" },
+    Year: { type: ["string", "null"] },
+    "Letterboxd URI": { type: "string" },
+    Rating: { type: "number" },
+  },
+};
+
+// Diary rows carry the viewing details on top of the film row
+const diaryEntrySchema = {
+  type: "object",
+  properties: {
+    ...filmRowSchema.properties,
+    "Watched Date": { type: ["string", "null"] },
+    Rewatch: { type: "boolean" },
+    Liked: { type: "boolean" },
+    "Review URI": { type: ["string", "null"] },
+  },
+};
+
+// Any row a scraping mode can produce
+const scrapedRowSchema = {
+  type: "object",
+  properties: {
+    ...diaryEntrySchema.properties,
+    // Watched mode: false for films watched without a star rating
+    Rated: { type: "boolean" },
+    // Imports: the day the rating was logged
+    Date: { type: ["string", "null"] },
+  },
+};
+
+// Every kind of job: the scraping modes plus list scrapes and export imports
+const scrapeModeSchema = {
+  type: "string",
+  enum: ["ratings", "diary", "watched", "watchlist", "list", "import"],
+};
+
+// Modes a user's own pages can be scraped in through POST /
+const userScrapeModeSchema = {
+  type: "string",
+  enum: ["ratings", "diary", "watched", "watchlist"],
+};
+
+const userRatingSchema = {
+  type: "object",
+  properties: {
+    id: { type: "number" },
+    genre_ids: { type: "array", items: { type: "number" } },
+    user_rating: { type: "number" },
+  },
+};
+
+const matchedFilmSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    year: { type: ["string", "null"] },
+    uri: { type: "string" },
+    rating: { type: "number" },
+    id: { type: "number" },
+    title: { type: "string" },
+    release_year: { type: "string" },
+    genre_ids: { type: "array", items: { type: "number" } },
+    confidence: { type: "number" },
+  },
+};
+
+const unmatchedFilmSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    year: { type: ["string", "null"] },
+    uri: { type: "string" },
+    rating: { type: "number" },
+    reason: { type: "string" },
+  },
+};
+
+const matchStatsSchema = {
+  type: "object",
+  properties: {
+    total: { type: "number" },
+    matched: { type: "number" },
+    unmatched: { type: "number" },
+    averageConfidence: { type: "number" },
+  },
+};
+
+const recommendationSchema = {
+  type: "object",
+  properties: {
+    id: { type: "number" },
+    title: { type: "string" },
+    overview: { type: "string" },
+    genre_ids: { type: "array", items: { type: "number" } },
+    release_days: { type: "number" },
+    release_year: { type: "string" },
+    popularity: { type: "number" },
+    vote_average: { type: "number" },
+    vote_count: { type: "number" },
+    // null when the full catalog doesn't have the film
+    language_code: { type: ["number", "null"] },
+    title_length: { type: "number" },
+    poster_path: { type: "string" },
+    score: { type: "number" },
+    explanation: explanationSchema,
+  },
+};
+
+/**
+ * Format a model's ranked films to match recommendationSchema
+ * @param {Array} recommendations - Raw recommendations
+ * @returns {Array} Formatted recommendations
+ */
+function formatRecommendations(recommendations) {
+  return recommendations.map((movie) => {
+    // Calculate days since 1988-01-01 (baseline for release_days)
+    const baseline = new Date("1988-01-01").getTime();
+    const releaseDate = movie.release_date
+      ? new Date(movie.release_date).getTime()
+      : baseline;
+    const daysSinceBaseline = Math.floor(
+      (releaseDate - baseline) / (1000 * 60 * 60 * 24)
+    );
+
+    // Clean up genre_ids to ensure exactly 5 elements (padding with 0 if needed)
+    const genreIds = [...(movie.genre_ids || [])];
+    while (genreIds.length < 5) genreIds.push(0);
+    if (genreIds.length > 5) genreIds.length = 5;
+
+    return {
+      id: movie.id,
+      title: movie.title || "",
+      overview: movie.overview || "",
+      genre_ids: genreIds,
+      // Catalog films only carry release_days and release_year
+      release_days: movie.release_date
+        ? daysSinceBaseline
+        : movie.release_days || 0,
+      release_year: movie.release_date
+        ? movie.release_date.substring(0, 4)
+        : movie.release_year || "",
+      popularity: movie.popularity || 0,
+      vote_average: movie.vote_average || 0,
+      vote_count: movie.vote_count || 0,
+      language_code: languageCode(movie),
+      title_length: (movie.title || "").length,
+      poster_path: movie.poster_path || "",
+      score: movie.score || 0,
+      explanation: movie.explanation,
+    };
+  });
+}
+
+// Only fetch films rated since the last stored scrape for this user
+const incrementalSchema = {
+  type: "boolean",
+  default: false,
+  description:
+    "Scrape only until the first page holding a film with the rating already " +
+    "stored, and merge the result into the stored list. Ratings removed since, " +
+    "or changed on films past that page, are not picked up; run a full scrape " +
+    "(incremental: false) to refresh them.",
+};
+
 const startScrapingSchema = {
   body: {
     type: "object",
     required: ["username"],
     properties: {
       username: { type: "string", minLength: 1 },
+      // Which of the user's pages to walk: rated films, diary, all watched films or watchlist
+      mode: { ...userScrapeModeSchema, default: "ratings" },
+      incremental: incrementalSchema,
+      // Resolve the scraped films against the catalogs once the job completes
+      matchCatalog: { type: "boolean", default: false },
+      minConfidence: { type: "number", minimum: 0, maximum: 1 },
     },
   },
   response: {
@@ -48,6 +225,7 @@ const getStatusSchema = {
     200: {
       type: "object",
       properties: {
+        mode: scrapeModeSchema,
         status: {
           type: "string",
           enum: ["pending", "in-progress", "completed", "failed"],
@@ -56,16 +234,85 @@ const getStatusSchema = {
         totalPages: { type: "number" },
         data: {
           type: "array",
-          items: {
-            type: "object",
-            properties: {
-              Name: { type: "string" },
-              Year: { type: ["string", "null"] },
-              "Letterboxd URI": { type: "string" },
-              Rating: { type: "number" },
+          items: scrapedRowSchema,
+        },
+        profileData: {
+          type: "object",
+          properties: {
+            displayName: { type: "string" },
+            username: { type: "string" },
+            avatarUrl: { type: ["string", "null"] },
+            location: { type: ["string", "null"] },
+            bio: { type: ["string", "null"] },
+            stats: {
+              type: "object",
+              properties: {
+                totalFilms: { type: "number" },
+                filmsThisYear: { type: "number" },
+                following: { type: "number" },
+                followers: { type: "number" },
+              },
             },
           },
         },
+        userRatings: {
+          type: "array",
+          items: userRatingSchema,
+        },
+        // TMDB ids of matched watchlist / watched films, ready for the model routes
+        watchlist: { type: "array", items: { type: "number" } },
+        watched: { type: "array", items: { type: "number" } },
+        matchReport: {
+          type: "object",
+          properties: {
+            stats: matchStatsSchema,
+            unmatched: { type: "array", items: unmatchedFilmSchema },
+          },
+        },
+        diff: {
+          type: "object",
+          properties: {
+            added: { type: "array", items: filmRowSchema },
+            changed: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  ...filmRowSchema.properties,
+                  previousRating: { type: "number" },
+                },
+              },
+            },
+          },
+        },
+        // Import jobs: the export's extra files, in the scraper's row shapes
+        imported: {
+          type: "object",
+          properties: {
+            diary: { type: "array", items: diaryEntrySchema },
+            watched: { type: "array", items: scrapedRowSchema },
+            watchlist: { type: "array", items: filmRowSchema },
+          },
+        },
+        // List jobs: the pool registered from the scraped list
+        pool: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            size: { type: "number" },
+          },
+        },
+        model: { type: "string" },
+        // Key of the saved model, for DELETE /api/v1/models/:key
+        modelKey: { type: "string" },
+        recommendations: {
+          type: "array",
+          items: recommendationSchema,
+        },
+        // Size of the whole ranking; POST nextCursor to the model for more
+        total: { type: "number" },
+        nextCursor: { type: ["string", "null"] },
         error: { type: ["string", "null"] },
       },
     },
@@ -78,7 +325,130 @@ const getStatusSchema = {
   },
 };
 
+// Server-Sent Events stream of a job, so only errors are JSON
+const jobEventsSchema = {
+  querystring: getStatusSchema.querystring,
+  response: {
+    400: getStatusSchema.response[400],
+  },
+};
+
+const matchFilmsSchema = {
+  body: {
+    type: "object",
+    properties: {
+      // Either pass the scraped rows directly or the id of a completed job
+      films: { type: "array", items: filmRowSchema },
+      jobId: { type: "string", minLength: 1 },
+      minConfidence: { type: "number", minimum: 0, maximum: 1 },
+    },
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        userRatings: { type: "array", items: userRatingSchema },
+        matched: { type: "array", items: matchedFilmSchema },
+        unmatched: { type: "array", items: unmatchedFilmSchema },
+        stats: matchStatsSchema,
+      },
+    },
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+    500: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+        error: { type: "string" },
+      },
+    },
+  },
+};
+
+const startListScrapingSchema = {
+  body: {
+    type: "object",
+    required: ["url"],
+    properties: {
+      url: { type: "string", minLength: 1 },
+      // Pool id to use as movie_list, defaults to "{owner}-{slug}"
+      id: { type: "string", minLength: 1 },
+      name: { type: "string" },
+      minConfidence: { type: "number", minimum: 0, maximum: 1 },
+    },
+  },
+  response: startScrapingSchema.response,
+};
+
+// Multipart bodies are read through request.file(), only the reply is described
+const importExportSchema = {
+  consumes: ["multipart/form-data"],
+  response: startScrapingSchema.response,
+};
+
+const listPoolsSchema = {
+  response: {
+    200: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          url: { type: "string" },
+          owner: { type: "string" },
+          slug: { type: "string" },
+          size: { type: "number" },
+          updatedAt: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const recommendByUsernameSchema = {
+  body: {
+    type: "object",
+    required: ["username"],
+    properties: {
+      username: { type: "string", minLength: 1 },
+      incremental: incrementalSchema,
+      model: {
+        type: "string",
+        enum: ["model1", "model2", "model3", "model4", "model5"],
+        default: "model1",
+      },
+      genreWeight: { type: "number" },
+      voteAverageWeight: { type: "number" },
+      voteCountWeight: { type: "number" },
+      popularityWeight: { type: "number" },
+      userPreferredGenre: {
+        type: ["array", "null"],
+        items: { type: "number" },
+      },
+      movie_list: { type: "string" },
+      minConfidence: { type: "number", minimum: 0, maximum: 1 },
+    },
+  },
+  response: startScrapingSchema.response,
+};
+
 module.exports = {
+  filmRowSchema,
+  diaryEntrySchema,
+  scrapedRowSchema,
+  recommendationSchema,
+  formatRecommendations,
   startScrapingSchema,
   getStatusSchema,
+  jobEventsSchema,
+  matchFilmsSchema,
+  startListScrapingSchema,
+  listPoolsSchema,
+  importExportSchema,
+  recommendByUsernameSchema,
 };
@@ -1,107 +1,41 @@
 const puppeteer = require("puppeteer");
 const cheerio = require("cheerio");
-
-// In-memory storage for scraping jobs
-const scrapingJobs = new Map();
-
-// Define schema for the Letterboxd API
-const startScrapingSchema = {
-  body: {
-    type: "object",
-    required: ["username"],
-    properties: {
-      username: { type: "string", minLength: 1 },
-    },
-  },
-  response: {
-    200: {
-      type: "object",
-      properties: {
-        jobId: { type: "string" },
-        status: {
-          type: "string",
-          enum: ["pending", "in-progress", "completed", "failed"],
-        },
-        message: { type: "string" },
-      },
-    },
-    400: {
-      type: "object",
-      properties: {
-        message: { type: "string" },
-      },
-    },
-    500: {
-      type: "object",
-      properties: {
-        message: { type: "string" },
-        error: { type: "string" },
-        status: { type: "string" },
-      },
-    },
-  },
-};
-
-const getStatusSchema = {
-  querystring: {
-    type: "object",
-    required: ["jobId"],
-    properties: {
-      jobId: { type: "string", minLength: 1 },
-    },
-  },
-  response: {
-    200: {
-      type: "object",
-      properties: {
-        status: {
-          type: "string",
-          enum: ["pending", "in-progress", "completed", "failed"],
-        },
-        progress: { type: "number" },
-        totalPages: { type: "number" },
-        data: {
-          type: "array",
-          items: {
-            type: "object",
-            properties: {
-              Name: { type: "string" },
-              Year: { type: ["string", "null"] },
-              "Letterboxd URI": { type: "string" },
-              Rating: { type: "number" },
-            },
-          },
-        },
-        profileData: {
-          type: "object",
-          properties: {
-            displayName: { type: "string" },
-            username: { type: "string" },
-            avatarUrl: { type: ["string", "null"] },
-            location: { type: ["string", "null"] },
-            bio: { type: ["string", "null"] },
-            stats: {
-              type: "object",
-              properties: {
-                totalFilms: { type: "number" },
-                filmsThisYear: { type: "number" },
-                following: { type: "number" },
-                followers: { type: "number" },
-              },
-            },
-          },
-        },
-        error: { type: ["string", "null"] },
-      },
-    },
-    400: {
-      type: "object",
-      properties: {
-        message: { type: "string" },
-      },
-    },
-  },
-};
+const {
+  startScrapingSchema,
+  getStatusSchema,
+  jobEventsSchema,
+  matchFilmsSchema,
+  startListScrapingSchema,
+  listPoolsSchema,
+  importExportSchema,
+} = require("./letterboxd-schema");
+const crypto = require("crypto");
+const {
+  matchFilms,
+  toUserRatings,
+  toFilmIds,
+  toCatalogMovies,
+} = require("./film-matcher");
+const { createJobStore } = require("./job-store");
+const { loadCatalogs, resolveCatalogId } = require("./catalog-registry");
+const { publishJobEvent, streamJobEvents } = require("./job-events");
+const { parseLetterboxdExport } = require("./letterboxd-import");
+const {
+  POOL_ID_PATTERN,
+  toPoolId,
+  parseListUrl,
+  loadListPools,
+  saveListPool,
+  listListPools,
+} = require("./list-pools");
+
+// Storage for scraping jobs (in memory unless JOB_STORE=mongodb)
+const scrapingJobs = createJobStore("scrapingJobs");
+// Latest full film list per username, kept without expiry for incremental scrapes
+const scrapeResults = createJobStore("scrapeResults");
+
+// How long a finished job is kept around
+const JOB_TTL_MS = parseInt(process.env.SCRAPING_JOB_TTL_MS) || 3600000;
 
 // Function to scrape profile data
 async function scrapeProfile(page, username) {
@@ -190,14 +124,283 @@ async function scrapeProfile(page, username) {
   }
 }
 
-async function startScraping(username, jobId) {
+/**
+ * Parse a star string such as "★★★½" into a 0-5 rating
+ */
+function parseStars(ratingText) {
+  if (!ratingText) return 0;
+  const stars = (ratingText.match(/★/g) || []).length;
+  const halfStar = ratingText.includes("½") ? 0.5 : 0;
+  return stars + halfStar;
+}
+
+/**
+ * Split "Name (YYYY)" into its name and year
+ */
+function splitNameAndYear(nameWithYear) {
+  let name = nameWithYear;
+  let year = null;
+  const yearMatch = nameWithYear.match(/\s\((\d{4})\)$/); // Matches "(YYYY)" at the end of the string
+  if (yearMatch) {
+    year = yearMatch[1];
+    name = nameWithYear.replace(yearMatch[0], "").trim();
+  }
+  return { name, year };
+}
+
+/**
+ * Parse the poster grid ('ul.grid') used by the films pages
+ */
+function parseFilmGrid($) {
+  const films = [];
+
+  // UPDATE: Target the new list item selector 'li.griditem' (list pages use 'li.posteritem')
+  $("li.griditem, li.posteritem").each((index, el) => {
+    const $el = $(el);
+    // UPDATE: Film data is now in a div with this class
+    const $dataContainer = $el.find("div.react-component");
+
+    if ($dataContainer.length === 0) {
+      return; // Skip if the main data container isn't found
+    }
+
+    // UPDATE: Use new data attribute names
+    const nameWithYear = $dataContainer.data("item-name");
+    const slug = $dataContainer.data("item-slug");
+
+    if (!nameWithYear || !slug) {
+      return; // Skip if essential data is missing
+    }
+
+    // UPDATE: Parse name and year from the combined string
+    const { name, year } = splitNameAndYear(nameWithYear);
+
+    // The rating logic remains the same, just confirm the selector is correct
+    const ratingText = $el.find(".poster-viewingdata .rating").text().trim();
+
+    films.push({
+      Name: name,
+      Year: year,
+      "Letterboxd URI": `https://letterboxd.com${slug}`,
+      Rating: parseStars(ratingText),
+    });
+  });
+
+  return films;
+}
+
+/**
+ * Parse the full watched-films grid, flagging which films carry a rating
+ */
+function parseWatchedGrid($) {
+  return parseFilmGrid($).map((film) => ({
+    ...film,
+    Rated: film.Rating > 0,
+  }));
+}
+
+/**
+ * Parse the diary table ('#diary-table'), one row per viewing
+ */
+function parseDiaryTable($) {
+  const entries = [];
+
+  $("tr.diary-entry-row").each((index, el) => {
+    const $el = $(el);
+    const $dataContainer = $el.find(".td-film-details div.react-component");
+
+    // Film slug: prefer the data attribute, fall back to the "/user/film/slug/" link
+    let slug = $dataContainer.data("item-slug") || $el.data("film-slug");
+    const filmLink = $el.find(".td-film-details h3 a").attr("href") || "";
+    if (!slug) {
+      const slugMatch = filmLink.match(/\/film\/[^/]+\//);
+      slug = slugMatch ? slugMatch[0] : null;
+    }
+
+    let name = $el.find(".td-film-details h3 a").text().trim();
+    let year = $el.find(".td-released").text().trim() || null;
+    const nameWithYear = $dataContainer.data("item-name");
+    if (nameWithYear) {
+      ({ name, year } = splitNameAndYear(nameWithYear));
+    }
+
+    if (!name || !slug) {
+      return; // Skip if essential data is missing
+    }
+
+    // The day link points at "/user/films/diary/for/YYYY/MM/DD/"
+    const dayLink = $el.find(".td-day a").attr("href") || "";
+    const dateMatch = dayLink.match(/\/for\/(\d{4})\/(\d{2})\/(\d{2})\//);
+
+    // "rated-N" holds the rating in half stars, the text is a fallback
+    const $rating = $el.find(".td-rating .rating");
+    const ratedClass = ($rating.attr("class") || "").match(/rated-(\d+)/);
+    const rating = ratedClass
+      ? parseInt(ratedClass[1]) / 2
+      : parseStars($rating.text().trim());
+
+    const reviewLink = $el.find(".td-review a").attr("href");
+    const $rewatch = $el.find(".td-rewatch");
+
+    entries.push({
+      Name: name,
+      Year: year,
+      "Letterboxd URI": `https://letterboxd.com${slug}`,
+      Rating: rating,
+      "Watched Date": dateMatch
+        ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`
+        : null,
+      Rewatch: $rewatch.length > 0 && !$rewatch.hasClass("icon-status-off"),
+      Liked: $el.find(".td-like .icon-liked").length > 0,
+      "Review URI": reviewLink ? `https://letterboxd.com${reviewLink}` : null,
+    });
+  });
+
+  return entries;
+}
+
+// Which page to walk and how to read it for each scraping mode
+const scrapeModes = {
+  ratings: {
+    path: "/films/by/rated-date/",
+    container: "ul.grid",
+    label: "rated films",
+    parse: parseFilmGrid,
+  },
+  diary: {
+    path: "/films/diary/",
+    container: "#diary-table",
+    label: "diary entries",
+    parse: parseDiaryTable,
+  },
+  // Every watched film, including the ones without a star rating
+  watched: {
+    path: "/films/",
+    container: "ul.grid",
+    label: "watched films",
+    parse: parseWatchedGrid,
+  },
+  // The watchlist uses the same poster grid, without ratings
+  watchlist: {
+    path: "/watchlist/",
+    container: "ul.grid",
+    label: "watchlist films",
+    parse: parseFilmGrid,
+  },
+  // A public list, scraped from its owner's account
+  list: {
+    path: (options) => `/list/${options.listSlug}/`,
+    container: "ul.js-list-entries, ul.grid",
+    label: "list films",
+    parse: parseFilmGrid,
+    skipProfile: true,
+  },
+};
+
+/**
+ * Resolve a completed job's films against the catalogs
+ * @returns {Promise<Array>} The matched films
+ */
+async function attachCatalogMatches(job, minConfidence) {
+  const { matched, unmatched, stats } = await matchFilms(job.data, {
+    minConfidence,
+  });
+  job.userRatings = toUserRatings(matched);
+  job.matchReport = { stats, unmatched };
+
+  if (job.mode === "watchlist") {
+    job.watchlist = toFilmIds(matched);
+  } else if (job.mode === "watched") {
+    job.watched = toFilmIds(matched);
+  }
+  return matched;
+}
+
+/**
+ * Merge freshly scraped rows into the previously stored list.
+ * Fresh rows come first since both lists are ordered by rating date.
+ * Previous rows are kept as they were, so films unrated since then or
+ * re-rated past the scraped pages go unnoticed until a full scrape.
+ */
+function mergeIncremental(scraped, previous) {
+  const previousByUri = new Map(
+    previous.map((film) => [film["Letterboxd URI"], film])
+  );
+  const scrapedUris = new Set(scraped.map((film) => film["Letterboxd URI"]));
+
+  const added = [];
+  const changed = [];
+  for (const film of scraped) {
+    const before = previousByUri.get(film["Letterboxd URI"]);
+    if (!before) {
+      added.push(film);
+    } else if (before.Rating !== film.Rating) {
+      changed.push({ ...film, previousRating: before.Rating });
+    }
+  }
+
+  return {
+    data: [
+      ...scraped,
+      ...previous.filter((film) => !scrapedUris.has(film["Letterboxd URI"])),
+    ],
+    diff: { added, changed },
+  };
+}
+
+/**
+ * Payload of the completed / failed event; the results are read from GET /
+ */
+function finalEventData(job) {
+  return {
+    status: job.status,
+    filmsFound: job.data.length,
+    error: job.error || null,
+  };
+}
+
+async function startScraping(username, jobId, options = {}) {
   console.log(`[Job ${jobId}] Scraping process started for user: ${username}`);
   let browser;
-  const job = scrapingJobs.get(jobId);
+  const job = await scrapingJobs.get(jobId);
+  const resultKey = username.toLowerCase();
 
   try {
     job.status = "in-progress";
-    const filmsUrl = `https://letterboxd.com/${username}/films/by/rated-date/`;
+    await scrapingJobs.save(jobId, job);
+
+    // Films (by URI) from the last stored scrape, used to stop paging early
+    let previous = null;
+    const knownRatings = new Map();
+    if (options.incremental) {
+      previous = await scrapeResults.get(resultKey);
+      if (previous) {
+        previous.data.forEach((film) =>
+          knownRatings.set(film["Letterboxd URI"], film.Rating)
+        );
+        job.baseScrapedAt = previous.updatedAt;
+        console.log(
+          `[Job ${jobId}] Incremental scrape against ${previous.data.length} known films.`
+        );
+      } else {
+        console.log(
+          `[Job ${jobId}] No stored result for ${username}, running a full scrape.`
+        );
+      }
+    }
+
+    const scrapeMode = scrapeModes[options.mode || "ratings"];
+    if (!scrapeMode) {
+      throw new Error(`Mode ${options.mode} cannot be scraped`);
+    }
+    if (scrapeMode === scrapeModes.list && !options.listSlug) {
+      throw new Error("Scraping a list requires its listSlug");
+    }
+    const modePath =
+      typeof scrapeMode.path === "function"
+        ? scrapeMode.path(options)
+        : scrapeMode.path;
+    const filmsUrl = `https://letterboxd.com/${username}${modePath}`;
 
     browser = await puppeteer.launch({
       headless: "new",
@@ -209,15 +412,21 @@ async function startScraping(username, jobId) {
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36"
     );
 
-    job.profileData = await scrapeProfile(page, username);
+    if (!scrapeMode.skipProfile) {
+      job.profileData = await scrapeProfile(page, username);
+      await scrapingJobs.save(jobId, job);
+      publishJobEvent(jobId, "profile", job.profileData);
+    }
 
     await page.goto(filmsUrl, { waitUntil: "networkidle2", timeout: 60000 });
     // UPDATE: Wait for the new container selector
-    await page.waitForSelector("ul.grid", { timeout: 10000 }).catch(() => {
-      console.log(
-        `[Job ${jobId}] Film grid ('ul.grid') not found - user may not have any rated films`
-      );
-    });
+    await page
+      .waitForSelector(scrapeMode.container, { timeout: 10000 })
+      .catch(() => {
+        console.log(
+          `[Job ${jobId}] Container ('${scrapeMode.container}') not found - user may not have any ${scrapeMode.label}`
+        );
+      });
 
     let html = await page.content();
     let $ = cheerio.load(html);
@@ -232,6 +441,11 @@ async function startScraping(username, jobId) {
 
     job.totalPages = totalPages;
     console.log(`[Job ${jobId}] Found ${totalPages} page(s) to scrape.`);
+    publishJobEvent(jobId, "status", {
+      status: job.status,
+      progress: job.progress,
+      totalPages,
+    });
 
     for (let currentPage = 1; currentPage <= totalPages; currentPage++) {
       if (currentPage > 1) {
@@ -242,85 +456,96 @@ async function startScraping(username, jobId) {
         });
       }
 
-      // UPDATE: Check for the new container 'ul.grid'
-      const posterListExists = await page.evaluate(() => {
-        return !!document.querySelector("ul.grid");
-      });
+      const containerExists = await page.evaluate((selector) => {
+        return !!document.querySelector(selector);
+      }, scrapeMode.container);
 
-      if (!posterListExists) {
-        console.log(`[Job ${jobId}] No film grid found on page ${currentPage}`);
+      if (!containerExists) {
+        console.log(
+          `[Job ${jobId}] No ${scrapeMode.label} found on page ${currentPage}`
+        );
         continue;
       }
 
-      // UPDATE: Get HTML from the new container 'ul.grid'
-      const filmListHTML = await page.$eval("ul.grid", (el) => el.outerHTML);
-      $ = cheerio.load(filmListHTML);
+      const containerHTML = await page.$eval(
+        scrapeMode.container,
+        (el) => el.outerHTML
+      );
+      $ = cheerio.load(containerHTML);
 
-      // UPDATE: Target the new list item selector 'li.griditem'
-      const filmsOnPage = $("li.griditem");
+      const filmsOnPage = scrapeMode.parse($);
       console.log(
-        `[Job ${jobId}] Page ${currentPage}/${totalPages}: Found ${filmsOnPage.length} films.`
+        `[Job ${jobId}] Page ${currentPage}/${totalPages}: Found ${filmsOnPage.length} ${scrapeMode.label}.`
       );
 
-      filmsOnPage.each((index, el) => {
-        const $el = $(el);
-        // UPDATE: Film data is now in a div with this class
-        const $dataContainer = $el.find("div.react-component");
-
-        if ($dataContainer.length === 0) {
-          return; // Skip if the main data container isn't found
-        }
-
-        // UPDATE: Use new data attribute names
-        const nameWithYear = $dataContainer.data("item-name");
-        const slug = $dataContainer.data("item-slug");
+      // DEBUG LOG: Log the first film parsed on the first page to confirm success
+      if (currentPage === 1 && filmsOnPage.length) {
+        console.log(
+          `[Job ${jobId}] First film parsed successfully:`,
+          filmsOnPage[0]
+        );
+      }
 
-        if (!nameWithYear || !slug) {
-          return; // Skip if essential data is missing
-        }
+      // An unchanged film means everything after it was already scraped
+      const reachedKnownFilms = filmsOnPage.some(
+        (film) => knownRatings.get(film["Letterboxd URI"]) === film.Rating
+      );
 
-        // UPDATE: Parse name and year from the combined string
-        let name = nameWithYear;
-        let year = null;
-        const yearMatch = nameWithYear.match(/\s\((\d{4})\)$/); // Matches "(YYYY)" at the end of the string
-        if (yearMatch) {
-          year = yearMatch[1];
-          name = nameWithYear.replace(yearMatch[0], "").trim();
-        }
+      job.data.push(...filmsOnPage);
+      job.progress = currentPage / totalPages;
+      publishJobEvent(jobId, "page", {
+        page: currentPage,
+        totalPages,
+        filmsOnPage: filmsOnPage.length,
+        filmsFound: job.data.length,
+        progress: job.progress,
+      });
 
-        // The rating logic remains the same, just confirm the selector is correct
-        const ratingText = $el
-          .find(".poster-viewingdata .rating")
-          .text()
-          .trim();
-        let rating = 0;
-        if (ratingText) {
-          const stars = (ratingText.match(/★/g) || []).length;
-          const halfStar = ratingText.includes("½") ? 0.5 : 0;
-          rating = stars + halfStar;
-        }
+      if (reachedKnownFilms) {
+        console.log(
+          `[Job ${jobId}] Reached already known films on page ${currentPage}, stopping.`
+        );
+        job.progress = 1;
+        await scrapingJobs.save(jobId, job);
+        break;
+      }
 
-        const filmData = {
-          Name: name,
-          Year: year,
-          "Letterboxd URI": `https://letterboxd.com${slug}`,
-          Rating: rating,
-        };
+      await scrapingJobs.save(jobId, job);
+      // Added a smaller delay to be slightly faster
+      await new Promise((res) => setTimeout(res, 500));
+    }
 
-        // DEBUG LOG: Log the first film parsed on the first page to confirm success
-        if (currentPage === 1 && index === 0) {
-          console.log(
-            `[Job ${jobId}] First film parsed successfully:`,
-            filmData
-          );
-        }
+    if (options.incremental) {
+      const merged = mergeIncremental(job.data, previous ? previous.data : []);
+      job.data = merged.data;
+      job.diff = merged.diff;
+      console.log(
+        `[Job ${jobId}] Incremental scrape: ${merged.diff.added.length} added, ${merged.diff.changed.length} changed.`
+      );
+    }
 
-        job.data.push(filmData);
+    // Only the rated-films list feeds incremental scrapes
+    if (scrapeMode === scrapeModes.ratings) {
+      await scrapeResults.save(resultKey, {
+        username,
+        jobId,
+        data: job.data,
+        profileData: job.profileData,
+        updatedAt: new Date(),
       });
+    }
 
-      job.progress = currentPage / totalPages;
-      // Added a smaller delay to be slightly faster
-      await new Promise((res) => setTimeout(res, 500));
+    let matched = null;
+    if (options.matchCatalog) {
+      matched = await attachCatalogMatches(job, options.minConfidence);
+      console.log(
+        `[Job ${jobId}] Matched ${job.matchReport.stats.matched}/${job.matchReport.stats.total} films against the catalogs.`
+      );
+    }
+
+    // Let callers finish their own work before the job reports completion
+    if (options.afterScrape) {
+      await options.afterScrape(job, matched);
     }
 
     job.status = "completed";
@@ -333,18 +558,141 @@ async function startScraping(username, jobId) {
     console.error(`[Job ${jobId}] Error during scraping:`, error);
   } finally {
     if (browser) await browser.close();
-    setTimeout(() => {
-      scrapingJobs.delete(jobId);
-    }, 3600000); // Clean up job after 1 hour
+    job.finishedAt = new Date();
+    job.expiresAt = new Date(Date.now() + JOB_TTL_MS); // Clean up job after the TTL
+    await scrapingJobs.save(jobId, job);
+    publishJobEvent(jobId, job.status, finalEventData(job));
+  }
+}
+
+/**
+ * Register a new scraping job and start it in the background
+ * @param {string} username - Letterboxd username
+ * @param {Object} options - { mode, listSlug, incremental, matchCatalog, minConfidence, afterScrape }
+ *   where afterScrape(job, matched) gets the matched films when matchCatalog is set
+ * @returns {Promise<string>} The job ID
+ */
+async function createScrapingJob(username, options = {}) {
+  // Random suffix keeps ids unique across server instances sharing a store
+  const jobId = `job_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+  await scrapingJobs.create(jobId, {
+    username,
+    mode: options.mode || "ratings",
+    status: "pending",
+    data: [],
+    profileData: null,
+    userRatings: null,
+    matchReport: null,
+    progress: 0,
+    totalPages: 1,
+    createdAt: new Date(),
+  });
+
+  startScraping(username, jobId, options).catch((error) => {
+    console.error(`[Job ${jobId}] Failed to update job store:`, error);
+  });
+  return jobId;
+}
+
+/**
+ * Stored scrape or import job, or null if there is none
+ */
+function getScrapingJob(jobId) {
+  return scrapingJobs.get(jobId);
+}
+
+/**
+ * Catalog-matched ratings of every user with a stored rated-films list
+ * @returns {Promise<Array>} [{ username, userRatings }]
+ */
+async function getStoredUserRatings() {
+  const users = [];
+  for (const result of await scrapeResults.list()) {
+    const { matched } = await matchFilms(result.data);
+    users.push({
+      username: result.username,
+      userRatings: toUserRatings(matched),
+    });
+  }
+  return users;
+}
+
+/**
+ * Store a parsed data export as a completed job, shaped like a finished scrape
+ * @param {Object} parsed - Output of parseLetterboxdExport
+ * @param {Object} options - { matchCatalog, minConfidence }
+ * @returns {Promise<string>} The job ID
+ */
+async function createImportJob(parsed, options = {}) {
+  const jobId = `job_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+  const job = {
+    username: parsed.profileData ? parsed.profileData.username : null,
+    mode: "import",
+    status: "completed",
+    data: parsed.ratings,
+    imported: {
+      diary: parsed.diary,
+      watched: parsed.watched,
+      watchlist: parsed.watchlist,
+    },
+    profileData: parsed.profileData,
+    userRatings: null,
+    matchReport: null,
+    progress: 1,
+    totalPages: 1,
+    createdAt: new Date(),
+    finishedAt: new Date(),
+    expiresAt: new Date(Date.now() + JOB_TTL_MS),
+  };
+
+  if (options.matchCatalog) {
+    await attachCatalogMatches(job, options.minConfidence);
+    const matchOptions = { minConfidence: options.minConfidence };
+    job.watched = toFilmIds(
+      (await matchFilms(parsed.watched, matchOptions)).matched
+    );
+    job.watchlist = toFilmIds(
+      (await matchFilms(parsed.watchlist, matchOptions)).matched
+    );
   }
+
+  await scrapingJobs.create(jobId, job);
+  console.log(
+    `[Job ${jobId}] Imported ${parsed.ratings.length} ratings, ${parsed.diary.length} diary entries, ${parsed.watched.length} watched and ${parsed.watchlist.length} watchlist films.`
+  );
+  return jobId;
 }
 
 // Correctly export the plugin as an async function
 module.exports = async function (fastify, opts) {
+  try {
+    const poolCount = await loadListPools();
+    fastify.log.info(`Loaded ${poolCount} custom list pool(s)`);
+  } catch (error) {
+    fastify.log.error(`Error loading list pools: ${error.message}`);
+    throw new Error("Failed to load list pools");
+  }
+
+  // Data export uploads
+  await fastify.register(require("@fastify/multipart"), {
+    limits: { fileSize: 50 * 1024 * 1024, files: 1 },
+  });
+
+  fastify.addHook("onClose", async () => {
+    await scrapingJobs.close();
+    await scrapeResults.close();
+  });
+
   // Endpoint to start scraping
   fastify.post("/", { schema: startScrapingSchema }, async (request, reply) => {
     try {
-      const { username } = request.body;
+      const {
+        username,
+        mode = "ratings",
+        incremental = false,
+        matchCatalog = false,
+        minConfidence,
+      } = request.body;
 
       if (!username) {
         return reply.code(400).send({
@@ -352,16 +700,18 @@ module.exports = async function (fastify, opts) {
         });
       }
 
-      const jobId = `job_${Date.now()}`;
-      scrapingJobs.set(jobId, {
-        status: "pending",
-        data: [],
-        profileData: null,
-        progress: 0,
-        totalPages: 1,
-      });
+      if (incremental && mode !== "ratings") {
+        return reply.code(400).send({
+          message: "Incremental scraping is only supported for ratings.",
+        });
+      }
 
-      startScraping(username, jobId);
+      const jobId = await createScrapingJob(username, {
+        mode,
+        incremental,
+        matchCatalog,
+        minConfidence,
+      });
 
       return {
         jobId,
@@ -381,22 +731,251 @@ module.exports = async function (fastify, opts) {
   // Endpoint to check scraping status
   fastify.get("/", { schema: getStatusSchema }, async (request, reply) => {
     const jobId = request.query.jobId;
+    const job = jobId ? await scrapingJobs.get(jobId) : null;
 
-    if (!jobId || !scrapingJobs.has(jobId)) {
+    if (!job) {
       return reply.code(400).send({
         message: "Invalid job ID",
       });
     }
 
-    const job = scrapingJobs.get(jobId);
-
     return {
+      mode: job.mode,
       status: job.status,
       progress: job.progress,
       totalPages: job.totalPages,
       data: job.status === "completed" ? job.data : [],
       profileData: job.profileData,
+      userRatings: job.status === "completed" ? job.userRatings : undefined,
+      watchlist: job.status === "completed" ? job.watchlist : undefined,
+      watched: job.status === "completed" ? job.watched : undefined,
+      matchReport: job.status === "completed" ? job.matchReport : undefined,
+      model: job.model,
+      modelKey: job.modelKey,
+      recommendations:
+        job.status === "completed" ? job.recommendations : undefined,
+      total: job.status === "completed" ? job.total : undefined,
+      nextCursor: job.status === "completed" ? job.nextCursor : undefined,
+      diff: job.status === "completed" ? job.diff : undefined,
+      pool: job.status === "completed" ? job.pool : undefined,
+      imported: job.status === "completed" ? job.imported : undefined,
       error: job.error,
     };
   });
+
+  // Endpoint streaming a job's progress as Server-Sent Events: "status",
+  // "profile", "page" and "epoch" events, then "completed" or "failed"
+  fastify.get(
+    "/events",
+    { schema: jobEventsSchema },
+    async (request, reply) => {
+      const { jobId } = request.query;
+
+      return streamJobEvents(request, reply, jobId, async () => {
+        const job = await scrapingJobs.get(jobId);
+        if (!job) return null;
+
+        const events = [
+          {
+            event: "status",
+            data: {
+              status: job.status,
+              progress: job.progress,
+              totalPages: job.totalPages,
+              filmsFound: job.data.length,
+            },
+          },
+        ];
+        if (job.profileData) {
+          events.push({ event: "profile", data: job.profileData });
+        }
+        if (job.status === "completed" || job.status === "failed") {
+          events.push({ event: job.status, data: finalEventData(job) });
+        }
+        return events;
+      });
+    }
+  );
+
+  // Endpoint to import a Letterboxd data export ZIP instead of scraping.
+  // Multipart fields: "file" (the ZIP), optional "matchCatalog" and "minConfidence"
+  fastify.post(
+    "/import",
+    { schema: importExportSchema },
+    async (request, reply) => {
+      let upload;
+      try {
+        upload = await request.file();
+      } catch (error) {
+        return reply.code(400).send({
+          message: "Expected a multipart upload with the export ZIP",
+        });
+      }
+
+      if (!upload) {
+        return reply.code(400).send({
+          message: "Expected a multipart upload with the export ZIP",
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = parseLetterboxdExport(await upload.toBuffer());
+      } catch (error) {
+        return reply.code(400).send({
+          message: `Invalid Letterboxd export: ${error.message}`,
+        });
+      }
+
+      try {
+        const fieldValue = (name) =>
+          upload.fields[name] ? upload.fields[name].value : undefined;
+        const minConfidence = parseFloat(fieldValue("minConfidence"));
+
+        const jobId = await createImportJob(parsed, {
+          matchCatalog: fieldValue("matchCatalog") === "true",
+          minConfidence: isNaN(minConfidence) ? undefined : minConfidence,
+        });
+
+        return {
+          jobId,
+          status: "completed",
+          message: "Export imported",
+        };
+      } catch (error) {
+        request.log.error(error);
+        return reply.code(500).send({
+          message: "Failed to import export",
+          error: error.message,
+          status: "error",
+        });
+      }
+    }
+  );
+
+  // Endpoint to scrape a public Letterboxd list into a custom recommendation pool
+  fastify.post(
+    "/lists",
+    { schema: startListScrapingSchema },
+    async (request, reply) => {
+      const { url, id, name, minConfidence } = request.body;
+      const list = parseListUrl(url);
+
+      if (!list) {
+        return reply.code(400).send({
+          message:
+            "Expected a list URL like https://letterboxd.com/{user}/list/{slug}/",
+        });
+      }
+
+      const poolId = id || toPoolId(list.owner, list.slug);
+      if (!POOL_ID_PATTERN.test(poolId)) {
+        return reply.code(400).send({
+          message: "Pool id may only contain letters, digits, '-' and '_'",
+        });
+      }
+
+      // Catalogs resolve first, so a pool with a catalog's id could never be used
+      await loadCatalogs();
+      if (resolveCatalogId(poolId)) {
+        return reply.code(400).send({
+          message: `Pool id ${poolId} is already used by a catalog`,
+        });
+      }
+
+      try {
+        const jobId = await createScrapingJob(list.owner, {
+          mode: "list",
+          listSlug: list.slug,
+          matchCatalog: true,
+          minConfidence,
+          afterScrape: async (job, matched) => {
+            const movies = await toCatalogMovies(matched);
+
+            if (movies.length === 0) {
+              throw new Error(
+                "None of the list's films could be matched to the catalog"
+              );
+            }
+
+            const pool = await saveListPool({
+              id: poolId,
+              name: name || list.slug,
+              url,
+              owner: list.owner,
+              slug: list.slug,
+              movies,
+            });
+            job.pool = { id: pool.id, name: pool.name, size: movies.length };
+          },
+        });
+
+        return {
+          jobId,
+          status: "pending",
+          message: `Scraping list into pool ${poolId}`,
+        };
+      } catch (error) {
+        request.log.error(error);
+        return reply.code(500).send({
+          message: "Failed to initiate list scraping",
+          error: error.message,
+          status: "error",
+        });
+      }
+    }
+  );
+
+  // Endpoint to list the custom pools usable as movie_list
+  fastify.get("/lists", { schema: listPoolsSchema }, async () => {
+    return listListPools();
+  });
+
+  // Endpoint to turn scraped films into a model-ready userRatings payload
+  fastify.post(
+    "/match",
+    { schema: matchFilmsSchema },
+    async (request, reply) => {
+      const { films, jobId, minConfidence } = request.body;
+
+      let rows = films;
+      if (!rows) {
+        const job = jobId ? await scrapingJobs.get(jobId) : null;
+        if (!job) {
+          return reply.code(400).send({
+            message: "Provide either films or a valid job ID",
+          });
+        }
+        if (job.status !== "completed") {
+          return reply.code(400).send({
+            message: `Job ${jobId} is ${job.status}, not completed`,
+          });
+        }
+        rows = job.data;
+      }
+
+      try {
+        const { matched, unmatched, stats } = await matchFilms(rows, {
+          minConfidence,
+        });
+
+        return {
+          userRatings: toUserRatings(matched),
+          matched,
+          unmatched,
+          stats,
+        };
+      } catch (error) {
+        request.log.error(error);
+        return reply.code(500).send({
+          message: "Failed to match films",
+          error: error.message,
+        });
+      }
+    }
+  );
 };
+
+module.exports.createScrapingJob = createScrapingJob;
+module.exports.getScrapingJob = getScrapingJob;
+module.exports.getStoredUserRatings = getStoredUserRatings;
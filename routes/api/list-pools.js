@@ -0,0 +1,111 @@
+// routes/api/list-pools.js - Custom recommendation pools built from Letterboxd lists
+const fs = require("fs");
+const path = require("path");
+
+// Each pool is stored as its own JSON file so it survives restarts
+const poolsDir =
+  process.env.LIST_POOLS_DIR || path.join(__dirname, "../../data/lists");
+
+const POOL_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const pools = new Map();
+// Modification time of the file each loaded pool was read from
+const poolMtimes = new Map();
+
+function poolFile(id) {
+  return path.join(poolsDir, `${id}.json`);
+}
+
+/**
+ * Build a pool id from a Letterboxd list owner and slug
+ */
+function toPoolId(owner, slug) {
+  return `${owner}-${slug}`.replace(/[^A-Za-z0-9_-]/g, "-");
+}
+
+/**
+ * Parse "https://letterboxd.com/{user}/list/{slug}/" into its parts
+ * @returns {Object|null} { owner, slug }
+ */
+function parseListUrl(url) {
+  const match = String(url || "").match(
+    /^(?:https?:\/\/)?(?:www\.)?letterboxd\.com\/([^/]+)\/list\/([^/]+)\/?/
+  );
+  return match ? { owner: match[1], slug: match[2] } : null;
+}
+
+/**
+ * Load every stored pool from disk
+ */
+async function loadListPools() {
+  await fs.promises.mkdir(poolsDir, { recursive: true });
+  const files = await fs.promises.readdir(poolsDir);
+
+  for (const file of files.filter((f) => f.endsWith(".json"))) {
+    const filePath = path.join(poolsDir, file);
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    const pool = JSON.parse(await fs.promises.readFile(filePath, "utf-8"));
+    pools.set(pool.id, pool);
+    poolMtimes.set(pool.id, mtimeMs);
+  }
+
+  return pools.size;
+}
+
+/**
+ * Store (or replace) a pool
+ * @param {Object} pool - { id, name, url, owner, slug, movies }
+ */
+async function saveListPool(pool) {
+  if (!POOL_ID_PATTERN.test(pool.id)) {
+    throw new Error(`Invalid pool id: ${pool.id}`);
+  }
+
+  const stored = { ...pool, updatedAt: new Date().toISOString() };
+  await fs.promises.mkdir(poolsDir, { recursive: true });
+  await fs.promises.writeFile(poolFile(pool.id), JSON.stringify(stored));
+  pools.set(pool.id, stored);
+  poolMtimes.set(pool.id, (await fs.promises.stat(poolFile(pool.id))).mtimeMs);
+  return stored;
+}
+
+/**
+ * Movies of a stored pool, or null if there is no such pool.
+ * Rereads the file when it changed, so pools saved or re-scraped by another
+ * process (or the main thread, for workers) are picked up.
+ */
+function getListPoolMovies(id) {
+  if (!id || !POOL_ID_PATTERN.test(id)) return null;
+
+  try {
+    const { mtimeMs } = fs.statSync(poolFile(id));
+    if (!pools.has(id) || poolMtimes.get(id) !== mtimeMs) {
+      pools.set(id, JSON.parse(fs.readFileSync(poolFile(id), "utf-8")));
+      poolMtimes.set(id, mtimeMs);
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return pools.get(id).movies;
+}
+
+/**
+ * Metadata of every loaded pool (without the movies)
+ */
+function listListPools() {
+  return [...pools.values()].map(({ movies, ...pool }) => ({
+    ...pool,
+    size: movies.length,
+  }));
+}
+
+module.exports = {
+  POOL_ID_PATTERN,
+  toPoolId,
+  parseListUrl,
+  loadListPools,
+  saveListPool,
+  getListPoolMovies,
+  listListPools,
+};
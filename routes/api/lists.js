@@ -0,0 +1,36 @@
+// routes/api/lists.js - Enumerate the movie lists usable as movie_list
+const { loadCatalogs, listCatalogs } = require("./catalog-registry");
+
+const listsSchema = {
+  response: {
+    200: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          description: { type: "string" },
+          aliases: { type: "array", items: { type: "string" } },
+          size: { type: "number" },
+          source: { type: "string", enum: ["catalog", "letterboxd-list"] },
+          default: { type: "boolean" },
+        },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  try {
+    await loadCatalogs();
+  } catch (error) {
+    fastify.log.error(`Error loading movie data: ${error.message}`);
+    throw new Error("Failed to load movie data");
+  }
+
+  // Endpoint to list the catalogs and custom pools
+  fastify.get("/", { schema: listsSchema }, async () => {
+    return listCatalogs();
+  });
+};
@@ -0,0 +1,205 @@
+// routes/api/model-store.js - Trained models saved per user, so identical ratings skip training
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const tf = require("@tensorflow/tfjs");
+
+// Every user gets a directory named after the hash of their ratings
+const modelsDir =
+  process.env.MODELS_DIR || path.join(__dirname, "../../data/models");
+
+const MODEL_TTL_MS = parseInt(process.env.MODEL_TTL_MS) || 24 * 3600000;
+
+const MODEL_KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+function hash(value) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(value))
+    .digest("hex");
+}
+
+/**
+ * Key identifying a user's ratings, independent of their order
+ * @param {Array} userRatings - [{ id, genre_ids, user_rating }]
+ */
+function ratingsKey(userRatings) {
+  return hash(
+    userRatings
+      .map(({ id, genre_ids, user_rating }) => [id, genre_ids, user_rating])
+      .sort((a, b) => a[0] - b[0])
+  );
+}
+
+/**
+ * Where one trained variant of a model is stored. Training also depends on
+ * the weights and implicit feedback settings, so those pick the variant.
+ * @param {string} name - Model route name, e.g. "model1"
+ * @param {string} key - ratingsKey() of the user's ratings
+ * @param {Object} trainingOptions - Everything else the training depends on
+ */
+function modelDir(name, key, trainingOptions) {
+  return path.join(
+    modelsDir,
+    key,
+    `${name}-${hash(trainingOptions).slice(0, 16)}`
+  );
+}
+
+/**
+ * IO handler writing model.json and weights.bin into a directory
+ */
+function fileSaveHandler(dir) {
+  return tf.io.withSaveHandler(async (artifacts) => {
+    const weightData = tf.io.concatenateArrayBuffers(artifacts.weightData);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, "weights.bin"),
+      Buffer.from(weightData)
+    );
+    await fs.promises.writeFile(
+      path.join(dir, "model.json"),
+      JSON.stringify({
+        modelTopology: artifacts.modelTopology,
+        weightSpecs: artifacts.weightSpecs,
+        savedAt: Date.now(),
+      })
+    );
+
+    return {
+      modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts),
+    };
+  });
+}
+
+/**
+ * Save a trained model. Failures are logged and ignored, the request that
+ * trained it can still use it.
+ */
+async function saveModel(model, name, key, trainingOptions) {
+  try {
+    await model.save(fileSaveHandler(modelDir(name, key, trainingOptions)));
+    sweepExpiredModels().catch(() => {});
+  } catch (error) {
+    console.error(`Failed to save ${name} for ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Load a saved model, or null if there is none or it has expired
+ */
+async function loadSavedModel(name, key, trainingOptions) {
+  const dir = modelDir(name, key, trainingOptions);
+
+  let saved;
+  let weights;
+  try {
+    saved = JSON.parse(
+      await fs.promises.readFile(path.join(dir, "model.json"), "utf-8")
+    );
+    weights = await fs.promises.readFile(path.join(dir, "weights.bin"));
+  } catch (error) {
+    return null;
+  }
+
+  if (Date.now() - saved.savedAt > MODEL_TTL_MS) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    return null;
+  }
+
+  // Copy into an ArrayBuffer of its own, Buffers can share a larger pool
+  const weightData = weights.buffer.slice(
+    weights.byteOffset,
+    weights.byteOffset + weights.byteLength
+  );
+
+  // Only used for predictions, so the model is left uncompiled
+  return tf.loadLayersModel(
+    tf.io.fromMemory({
+      modelTopology: saved.modelTopology,
+      weightSpecs: saved.weightSpecs,
+      weightData,
+    })
+  );
+}
+
+/**
+ * Load the model saved for these ratings and training options, or train
+ * (and save) a new one
+ * @param {Function} train - Resolves to a freshly trained model
+ */
+async function loadOrTrainModel(name, userRatings, trainingOptions, train) {
+  const key = ratingsKey(userRatings);
+
+  const saved = await loadSavedModel(name, key, trainingOptions);
+  if (saved) return saved;
+
+  const model = await train();
+  await saveModel(model, name, key, trainingOptions);
+  return model;
+}
+
+/**
+ * Delete every model saved for a user
+ * @returns {number} Number of saved models removed
+ */
+async function invalidateSavedModels(key) {
+  if (!MODEL_KEY_PATTERN.test(key)) return 0;
+
+  const dir = path.join(modelsDir, key);
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir);
+  } catch (error) {
+    return 0;
+  }
+
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  return entries.length;
+}
+
+/**
+ * Remove expired models (and users left without any)
+ */
+async function sweepExpiredModels() {
+  let users;
+  try {
+    users = await fs.promises.readdir(modelsDir);
+  } catch (error) {
+    return;
+  }
+
+  for (const user of users) {
+    const userDir = path.join(modelsDir, user);
+    const variants = await fs.promises.readdir(userDir).catch(() => []);
+
+    let remaining = variants.length;
+    for (const variant of variants) {
+      const dir = path.join(userDir, variant);
+      // A save still in progress has no model.json yet, age it by its directory
+      const stats = await fs.promises
+        .stat(path.join(dir, "model.json"))
+        .catch(() => fs.promises.stat(dir))
+        .catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs <= MODEL_TTL_MS) continue;
+
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      remaining--;
+    }
+
+    if (remaining === 0) {
+      await fs.promises.rm(userDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  MODEL_KEY_PATTERN,
+  ratingsKey,
+  saveModel,
+  loadSavedModel,
+  loadOrTrainModel,
+  invalidateSavedModels,
+  sweepExpiredModels,
+};
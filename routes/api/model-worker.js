@@ -0,0 +1,35 @@
+// routes/api/model-worker.js - Worker thread entry that trains a model and predicts
+const { parentPort } = require("worker_threads");
+
+// Required lazily, the models pull in TensorFlow and the catalogs
+const modelFiles = {
+  model1: "./model1",
+  model2: "./model2",
+};
+
+// Tasks that train a shared model instead of recommending for one user
+const trainingTasks = {
+  collaborative: ({ users, ...options }) =>
+    require("./collaborative").trainCollaborativeModel(users, options),
+};
+
+parentPort.on("message", async ({ id, payload }) => {
+  try {
+    const { model, options } = payload;
+    if (trainingTasks[model]) {
+      parentPort.postMessage({ id, result: trainingTasks[model](options) });
+      return;
+    }
+    if (!modelFiles[model]) throw new Error(`Unknown model: ${model}`);
+
+    const { loadModelData, trainAndRecommend } = require(modelFiles[model]);
+    await loadModelData();
+
+    const onProgress = (progress) => parentPort.postMessage({ id, progress });
+    const result = await trainAndRecommend(options, onProgress);
+
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -1,143 +1,68 @@
 // routes/api/model2.js - Fixed dispose issues
 const tf = require("@tensorflow/tfjs");
-const fs = require("fs");
-const path = require("path");
-
-// Load processed movies data
-const processedMoviesPath = path.join(
-  __dirname,
-  "../../public/processed_movies3.json"
-);
-const processedTop250MoviesPath = path.join(
-  __dirname,
-  "../../public/official-top-250-narrative-feature.json"
-);
-const processedTop250MoviesAllTimePath = path.join(
-  __dirname,
-  "../../public/letterboxd-top-250-films-history-collected-tmdb.json"
-);
-const processedClassicPath = path.join(
-  __dirname,
-  "../../public/classic-movies-for-beginners.json"
-);
-const processedComforMovies20sPath = path.join(
-  __dirname,
-  "../../public/comfort-movies.json"
-);
-const processedFeelingLostPath = path.join(
-  __dirname,
-  "../../public/feeling-lost-in-your-20s.json"
-);
-const processedTFeelingSomethingPath = path.join(
-  __dirname,
-  "../../public/for-when-you-want-to-feel-something.json"
-);
-const processedTop250HorrorPath = path.join(
-  __dirname,
-  "../../public/letterboxds-top-250-horror-films.json"
-);
-const processedTop100NarrativePath = path.join(
-  __dirname,
-  "../../public/official-top-100-narrative-feature-films-1.json"
-);
-const processedTop250MostFansPath = path.join(
-  __dirname,
-  "../../public/official-top-250-films-with-the-most-fans.json"
-);
-const processedTop250DcoumentariesPath = path.join(
-  __dirname,
-  "../../public/official-top-250-documentary-films.json"
-);
-const processedPsychosexualPath = path.join(
-  __dirname,
-  "../../public/psychosexual-dramas-nihilistic-fever-dreams.json"
-);
-const processedWhatIsRealityPath = path.join(
-  __dirname,
-  "../../public/what-is-reality.json"
-);
-const processedTop250WomensPath = path.join(
-  __dirname,
-  "../../public/women-directors-the-official-top-250-narrative.json"
-);
-const processedYourAreNotSamePath = path.join(
-  __dirname,
-  "../../public/youre-not-the-same-person-once-the-film-has.json"
-);
-
-const processedEyeCandyPath = path.join(
-  __dirname,
-  "../../public/eye-candy.json"
-);
-
-const processedNetflixPath = path.join(__dirname, "../../public/netflix.json");
-
-const processedPshycosexual2Path = path.join(
-  __dirname,
-  "../../public/psychosexual2.json"
-);
-
-const processedAnimePath = path.join(__dirname, "../../public/anime.json");
-
+const {
+  resolveWatchlist,
+  isExcludedByWatchlist,
+  applyWatchlistBoost,
+  watchlistSchemaProperties,
+} = require("./watchlist");
+const { withImplicitRatings, watchedSchemaProperties } = require("./watched");
+const {
+  resolveLanguagePreferences,
+  isExcludedByLanguage,
+  languageBoost,
+  languageFactors,
+  languageSchemaProperties,
+} = require("./languages");
+const {
+  resolveEraPreferences,
+  isExcludedByEra,
+  eraAffinity,
+  eraSchemaProperties,
+} = require("./eras");
+const { rerankByDiversity, diversitySchemaProperties } = require("./diversity");
+const {
+  MAX_RANKED_RESULTS,
+  DEFAULT_PAGE_SIZE,
+  createResultPage,
+  getResultPage,
+  paginationSchemaProperties,
+  recommendationPageResponseSchema,
+} = require("./result-cache");
+const {
+  loadCatalogs,
+  getCatalog,
+  getDefaultCatalog,
+} = require("./catalog-registry");
+const { trainingPool } = require("./worker-pool");
+const { ratingsKey, loadOrTrainModel } = require("./model-store");
+const {
+  createRecommendationJob,
+  getRecommendationJob,
+  getRecommendationJobEvents,
+  jobStartedSchema,
+  jobStatusSchema,
+} = require("./recommendation-jobs");
+const {
+  jobEventsSchema,
+  formatRecommendations,
+} = require("./letterboxd-schema");
+const { genreList } = require("./genres");
+const {
+  genreFeatureNames,
+  toContributions,
+  gradientAttributions,
+  describeBoosts,
+} = require("./explanation");
+const { streamJobEvents } = require("./job-events");
+
+// Default catalog (processed_movies3.json), set once the registry is loaded
 let processedMovies;
-let top250Movies;
-let top250MoviesAllTime;
-let classicMovies;
-let comfortMovies20s;
-let feelingLostMovies;
-let feelSomethingMovies;
-let top250HorrorMovies;
-let top100NarrativeMovies;
-let top250MostFansMovies;
-let top250Documentaries;
-let psychosexualDramas;
-let whatIsRealityMovies;
-let top250WomensMovies;
-let youAreNotTheSameMovies;
-let eyeCandy;
-let anime;
-let netflix;
-let psychoSexual2;
-
-// Cache for the model instance
-let modelInstance = null;
-
-// List of all possible genre IDs
-const genreList = [
-  28, 12, 16, 35, 80, 99, 18, 10751, 14, 36, 27, 10402, 9648, 10749, 878, 10770,
-  53, 10752, 37,
-];
-
-/**
- * Calculate the user's preferred language for a specific genre
- */
-function calculatePreferredLanguage(userRatings, genreId) {
-  const languageCounts = {};
-
-  for (const rating of userRatings) {
-    if (rating.genre_ids.includes(genreId)) {
-      const movie = processedMovies.find((m) => m.id === rating.id);
-      if (movie) {
-        const lang = movie.original_language;
-        languageCounts[lang] = (languageCounts[lang] || 0) + rating.user_rating; // Weight by user rating
-      }
-    }
-  }
-
-  if (Object.keys(languageCounts).length === 0) {
-    return null; // No preferred language
-  }
-
-  // Return the language with the highest weighted count
-  return Object.keys(languageCounts).reduce((a, b) =>
-    languageCounts[a] > languageCounts[b] ? a : b
-  );
-}
 
 /**
  * Calculate genre weights based on user ratings
  */
-function calculateGenreWeights(userRatings, genresList, preferredLanguage) {
+function calculateGenreWeights(userRatings, genresList) {
   const genreCounts = {};
 
   // Initialize genre counts
@@ -154,25 +79,21 @@ function calculateGenreWeights(userRatings, genresList, preferredLanguage) {
 
   // Normalize weights (lower count = higher weight)
   const maxCount = Math.max(...Object.values(genreCounts), 1);
-  return genresList.map((genre) => {
-    let weight = (maxCount - genreCounts[genre] + 1) / maxCount;
-
-    // Boost weight for animation genre if preferred language matches
-    if (genre === 16 && preferredLanguage) {
-      weight *= 2; // Double the weight for preferred language
-    }
-
-    return weight;
-  });
+  return genresList.map(
+    (genre) => (maxCount - genreCounts[genre] + 1) / maxCount
+  );
 }
 
 /**
- * Build TensorFlow model
+ * Build a fresh TensorFlow model, owned by a single request
+ * @param {number|null} seed - Seeds the weight initializers and dropout so
+ *   training is reproducible; null keeps them random
  */
-async function buildModel(inputShape) {
-  if (modelInstance) {
-    return modelInstance;
-  }
+async function buildModel(inputShape, seed = null) {
+  // Every layer gets its own seed, derived from the model's
+  const layerSeed = (offset) => (seed === null ? undefined : seed + offset);
+  const initializer = (offset) =>
+    tf.initializers.glorotUniform({ seed: layerSeed(offset) });
 
   const model = tf.sequential();
   model.add(
@@ -180,15 +101,28 @@ async function buildModel(inputShape) {
       units: 64,
       activation: "relu",
       inputShape: [inputShape],
+      kernelInitializer: initializer(1),
       name: "dense_1",
     })
   );
-  model.add(tf.layers.dropout({ rate: 0.2, name: "dropout_1" }));
   model.add(
-    tf.layers.dense({ units: 32, activation: "relu", name: "dense_2" })
+    tf.layers.dropout({ rate: 0.2, seed: layerSeed(2), name: "dropout_1" })
   );
   model.add(
-    tf.layers.dense({ units: 1, activation: "linear", name: "output" })
+    tf.layers.dense({
+      units: 32,
+      activation: "relu",
+      kernelInitializer: initializer(3),
+      name: "dense_2",
+    })
+  );
+  model.add(
+    tf.layers.dense({
+      units: 1,
+      activation: "linear",
+      kernelInitializer: initializer(4),
+      name: "output",
+    })
   );
 
   model.compile({
@@ -197,72 +131,12 @@ async function buildModel(inputShape) {
     metrics: ["mae"],
   });
 
-  modelInstance = model;
-  return modelInstance;
-}
-
-/**
- * Format recommendations to match the required structure
- * @param {Array} recommendations - Raw recommendations
- * @returns {Array} Formatted recommendations
- */
-function formatRecommendations(recommendations) {
-  return recommendations.map((movie) => {
-    // Map language codes to integers
-    const languageCodeMap = {
-      en: 1,
-      ja: 2,
-      ko: 3,
-      zh: 4,
-      fr: 5,
-      es: 6,
-      de: 7,
-      it: 8,
-      ru: 9,
-      hi: 10,
-      pt: 11,
-      th: 12,
-      ar: 13,
-      sv: 14,
-      nl: 15,
-    };
-
-    // Calculate days since 1988-01-01 (baseline for release_days)
-    const baseline = new Date("1988-01-01").getTime();
-    const releaseDate = movie.release_date
-      ? new Date(movie.release_date).getTime()
-      : baseline;
-    const daysSinceBaseline = Math.floor(
-      (releaseDate - baseline) / (1000 * 60 * 60 * 24)
-    );
-
-    // Clean up genre_ids to ensure exactly 5 elements (padding with 0 if needed)
-    const genreIds = [...(movie.genre_ids || [])];
-    while (genreIds.length < 5) genreIds.push(0);
-    if (genreIds.length > 5) genreIds.length = 5;
-
-    return {
-      id: movie.id,
-      title: movie.title || "",
-      overview: movie.overview || "",
-      genre_ids: genreIds,
-      release_days: daysSinceBaseline,
-      release_year: movie.release_date
-        ? movie.release_date.substring(0, 4)
-        : "",
-      popularity: movie.popularity || 0,
-      vote_average: movie.vote_average || 0,
-      vote_count: movie.vote_count || 0,
-      language_code: languageCodeMap[movie.original_language] || 0,
-      title_length: (movie.title || "").length,
-      poster_path: movie.poster_path || "",
-      score: movie.score || 0,
-    };
-  });
+  return model;
 }
 
 /**
  * Train the model using userRatings
+ * @param {Function} onEpoch - Optional, called with the progress after every epoch
  */
 async function trainModel(
   model,
@@ -270,14 +144,13 @@ async function trainModel(
   processedMovies,
   weights,
   genresList,
-  voteCountPenalty
+  voteCountPenalty,
+  languagePreferences,
+  eraPreferences,
+  seed,
+  onEpoch = null
 ) {
-  const preferredLanguage = calculatePreferredLanguage(userRatings, 16); // Calculate preferred language for animation
-  const genreWeights = calculateGenreWeights(
-    userRatings,
-    genresList,
-    preferredLanguage
-  );
+  const genreWeights = calculateGenreWeights(userRatings, genresList);
 
   const inputs = [];
   const outputs = [];
@@ -295,21 +168,12 @@ async function trainModel(
 
     // One-hot encode genres with adjusted weights
     const genreFeatures = genresList.map((genreId, index) => {
-      let weight = movie.genre_ids.includes(genreId) ? genreWeights[index] : 0;
-
-      // Adjust weight for genre 16 (animation) based on language
-      if (genreId === 16 && movie.genre_ids.includes(genreId)) {
-        if (
-          preferredLanguage &&
-          movie.original_language === preferredLanguage
-        ) {
-          weight *= 2; // Double the weight for preferred language
-        } else {
-          weight *= 0.5; // Reduce weight for non-preferred language
-        }
-      }
+      if (!movie.genre_ids.includes(genreId)) return 0;
 
-      return weight;
+      // Boost genres in the user's preferred language, reduce the others
+      return (
+        genreWeights[index] * languageBoost(movie, genreId, languagePreferences)
+      );
     });
 
     // Other features
@@ -324,6 +188,7 @@ async function trainModel(
       Math.exp(
         -voteCountPenalty * (1 - (movie.vote_count || 1) / maxVoteCount)
       );
+    const scaledEra = eraAffinity(movie, eraPreferences) * weights.eraWeight;
 
     // Combine all features
     const inputVector = [
@@ -331,6 +196,7 @@ async function trainModel(
       scaledPopularity,
       scaledVoteAverage,
       scaledVoteCount,
+      scaledEra,
     ];
     inputs.push(inputVector);
 
@@ -356,11 +222,24 @@ async function trainModel(
         epochs: 1,
         batchSize: 16,
         validationSplit: 0.2,
-        shuffle: true,
+        // Shuffling draws from Math.random, so seeded runs keep the order
+        shuffle: seed === null,
         verbose: 1,
       });
 
       const currentValLoss = history.history.val_loss[0]; // Get validation loss
+
+      // Report the epoch to whoever waits on the training
+      if (onEpoch) {
+        onEpoch({
+          epoch: epoch + 1,
+          maxEpochs: 100,
+          loss: history.history.loss[0],
+          valLoss: currentValLoss,
+          bestValLoss: Math.min(bestValLoss, currentValLoss),
+        });
+      }
+
       if (currentValLoss < bestValLoss) {
         bestValLoss = currentValLoss;
         patienceCounter = 0; // Reset patience counter
@@ -390,71 +269,21 @@ async function recommendMovies(
   minVoteCount,
   userRatings,
   userPreferredGenre,
-  movie_list
+  movie_list,
+  options = {}
 ) {
-  let moviesToRecommendFrom;
-
-  switch (movie_list) {
-    case "all":
-      moviesToRecommendFrom = processedMovies;
-      break;
-    case "top250Films":
-      moviesToRecommendFrom = top250Movies;
-      break;
-    case "top250FilmsAllTime":
-      moviesToRecommendFrom = top250MoviesAllTime;
-      break;
-    case "top100Under15000":
-      moviesToRecommendFrom = top100NarrativeMovies;
-      break;
-    case "top250MostFans":
-      moviesToRecommendFrom = top250MostFansMovies;
-      break;
-    case "top250WomenDirectors":
-      moviesToRecommendFrom = top250WomensMovies;
-      break;
-    case "top250Horro":
-      moviesToRecommendFrom = top250HorrorMovies;
-      break;
-    case "moveisThatFeels":
-      moviesToRecommendFrom = feelSomethingMovies;
-      break;
-    case "notSamePersion":
-      moviesToRecommendFrom = youAreNotTheSameMovies;
-      break;
-    case "psychoSexual":
-      moviesToRecommendFrom = psychosexualDramas;
-      break;
-    case "classicMovies":
-      moviesToRecommendFrom = classicMovies;
-      break;
-    case "comfortMovies":
-      moviesToRecommendFrom = comfortMovies20s;
-      break;
-    case "feelingLost20s":
-      moviesToRecommendFrom = feelingLostMovies;
-      break;
-    case "whatIsRealtiy":
-      moviesToRecommendFrom = whatIsRealityMovies;
-      break;
-    case "top250Documentaries":
-      moviesToRecommendFrom = top250Documentaries;
-      break;
-    case "eyeCanday":
-      moviesToRecommendFrom = eyeCandy;
-      break;
-    case "anime":
-      moviesToRecommendFrom = anime;
-      break;
-    case "netflix":
-      moviesToRecommendFrom = netflix;
-      break;
-    case "psychoSexual2":
-      moviesToRecommendFrom = psychoSexual2;
-      break;
-    default:
-      moviesToRecommendFrom = processedMovies;
-  }
+  const {
+    watchlist = null,
+    watched = [],
+    languagePreferences,
+    eraPreferences,
+    explain = false,
+    page = { offset: 0, limit: DEFAULT_PAGE_SIZE },
+    diversity = 0,
+  } = options;
+
+  // Catalog or custom list pool, falling back to the full catalog
+  const moviesToRecommendFrom = getCatalog(movie_list) || processedMovies;
 
   const maxPopularity = Math.max(
     ...processedMovies.map((m) => m.popularity || 1)
@@ -463,13 +292,19 @@ async function recommendMovies(
     ...processedMovies.map((m) => m.vote_count || 1)
   );
 
-  const watchedMovieIds = userRatings.map((rating) => rating.id); // Get the list of watched movie IDs
-  const preferredLanguage = calculatePreferredLanguage(userRatings, 16); // Calculate preferred language for animation
+  // Rated films plus any unrated films the user has watched
+  const watchedMovieIds = new Set([
+    ...userRatings.map((rating) => rating.id),
+    ...watched,
+  ]);
 
   const filteredMovies = moviesToRecommendFrom.filter(
     (movie) =>
       movie.vote_count >= minVoteCount &&
-      !watchedMovieIds.includes(movie.id) &&
+      !watchedMovieIds.has(movie.id) &&
+      !isExcludedByWatchlist(movie, watchlist) &&
+      !isExcludedByLanguage(movie, languagePreferences) &&
+      !isExcludedByEra(movie, eraPreferences) &&
       // Check if movie has at least one preferred genre
       (userPreferredGenre === null ||
         userPreferredGenre.length === 0 ||
@@ -498,16 +333,9 @@ async function recommendMovies(
         weight = 10; // Boost preferred genres
       }
 
-      // Special handling for animation genre (ID 16)
-      if (genreId === 16 && hasGenre) {
-        if (
-          preferredLanguage &&
-          movie.original_language === preferredLanguage
-        ) {
-          weight *= 2; // Double weight for preferred language
-        } else {
-          weight *= 0.5; // Reduce weight for non-preferred language
-        }
+      // Same language preference as in training
+      if (hasGenre) {
+        weight *= languageBoost(movie, genreId, languagePreferences);
       }
 
       return weight;
@@ -524,12 +352,14 @@ async function recommendMovies(
       Math.exp(
         -voteCountPenalty * (1 - (movie.vote_count || 1) / maxVoteCount)
       );
+    const scaledEra = eraAffinity(movie, eraPreferences) * weights.eraWeight;
 
     return [
       ...genreFeatures,
       scaledPopularity,
       scaledVoteAverage,
       scaledVoteCount,
+      scaledEra,
     ];
   });
 
@@ -547,23 +377,216 @@ async function recommendMovies(
     if (predictions) predictions.dispose();
   }
 
-  const recommendationResults = filteredMovies
+  const rankedMovies = filteredMovies
     .map((movie, index) => ({
       ...movie,
-      score: scores[index],
+      score: applyWatchlistBoost(scores[index], movie, watchlist),
+      inputIndex: index,
     }))
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 35);
+    .sort((a, b) => b.score - a.score);
+
+  // Balance score and variety when asked to; the route pages through the rest
+  const recommendationResults = rerankByDiversity(
+    rankedMovies,
+    diversity,
+    MAX_RANKED_RESULTS
+  );
+
+  if (explain) {
+    // Only the page being returned; later pages are read from the cache
+    const explained = recommendationResults.slice(
+      page.offset,
+      page.offset + page.limit
+    );
+    const rows = explained.map((movie) => inputs[movie.inputIndex]);
+    const attributions = await gradientAttributions(model, rows);
+
+    explained.forEach((movie, index) => {
+      movie.explanation = {
+        method: "gradient",
+        contributions: toContributions(
+          movie,
+          genreFeatureNames,
+          rows[index],
+          attributions[index]
+        ),
+        boosts: describeBoosts(movie, {
+          userPreferredGenre,
+          preferredGenreFactor: 10,
+          languageFactors: languageFactors(movie, languagePreferences),
+          watchlist,
+        }),
+      };
+    });
+  }
 
   // Format the recommendations to match the required structure
   return formatRecommendations(recommendationResults);
 }
 
+/**
+ * Load the catalogs the model trains and predicts on
+ */
+async function loadModelData() {
+  await loadCatalogs();
+  processedMovies = getDefaultCatalog();
+}
+
+/**
+ * Train on the user's ratings and return formatted recommendations.
+ * Blocks the thread it runs on, so it is run by the worker pool.
+ * @param {Object} options - Same shape as the POST body
+ * @param {Function} onProgress - Optional, receives the training progress per epoch
+ * @returns {Array} Formatted recommendations
+ */
+async function trainAndRecommend(
+  {
+    userRatings,
+    genreWeight = 1.0,
+    voteAverageWeight = 1.0,
+    voteCountWeight = 0.5,
+    popularityWeight = 0.8,
+    eraWeight = 1.0,
+    userPreferredGenre = null,
+    movie_list = null,
+    watchlist = null,
+    watchlistMode = "exclude",
+    watchlistBoost = 1.5,
+    watched = null,
+    implicitFeedback = false,
+    implicitRating = 7,
+    preferredLanguages = null,
+    excludeLanguages = null,
+    yearFrom = null,
+    yearTo = null,
+    preferredDecades = null,
+    seed = null,
+    // Replaces the threshold derived from voteCountWeight (the ensemble
+    // sets one for every model)
+    minVoteCount = null,
+    explain = false,
+    offset = 0,
+    limit = DEFAULT_PAGE_SIZE,
+    diversity = 0,
+  },
+  onProgress = null
+) {
+  // Unrated watched films count as positive feedback when requested
+  const ratings = withImplicitRatings(userRatings, watched, processedMovies, {
+    implicitFeedback,
+    implicitRating,
+  });
+
+  const languagePreferences = resolveLanguagePreferences(ratings, {
+    preferredLanguages,
+    excludeLanguages,
+  });
+  const eraPreferences = resolveEraPreferences(ratings, {
+    yearFrom,
+    yearTo,
+    preferredDecades,
+  });
+
+  const voteCountPenalty = 10.0;
+  const minVotes = minVoteCount === null ? voteCountWeight * 40 : minVoteCount;
+  const weights = {
+    genreWeight,
+    voteAverageWeight,
+    voteCountWeight,
+    popularityWeight,
+    eraWeight,
+  };
+
+  // Everything besides the ratings that changes the trained weights.
+  // trainModel never reads genreWeight, so it is left out.
+  const trainingOptions = {
+    weights: {
+      voteAverageWeight,
+      voteCountWeight,
+      popularityWeight,
+      eraWeight,
+    },
+    voteCountPenalty,
+    implicit: implicitFeedback ? { watched, implicitRating } : null,
+    preferredLanguages,
+    seed,
+  };
+
+  // Reuse the model saved for identical ratings, or train one.
+  // Every request gets its own instance so users never share weights.
+  const model = await loadOrTrainModel(
+    "model2",
+    userRatings,
+    trainingOptions,
+    async () => {
+      const model = await buildModel(genreFeatureNames.length, seed);
+      try {
+        // Train the model with user data
+        await trainModel(
+          model,
+          ratings,
+          processedMovies,
+          weights,
+          genreList,
+          voteCountPenalty,
+          languagePreferences,
+          eraPreferences,
+          seed,
+          onProgress
+        );
+        return model;
+      } catch (error) {
+        model.dispose();
+        throw error;
+      }
+    }
+  );
+
+  try {
+    // Generate recommendations
+    return await recommendMovies(
+      model,
+      processedMovies,
+      weights,
+      voteCountPenalty,
+      minVotes,
+      ratings,
+      userPreferredGenre,
+      movie_list,
+      {
+        watchlist: resolveWatchlist({
+          watchlist,
+          watchlistMode,
+          watchlistBoost,
+        }),
+        watched: watched || [],
+        languagePreferences,
+        eraPreferences,
+        explain,
+        page: { offset, limit },
+        diversity,
+      }
+    );
+  } finally {
+    // The compiled "adam" optimizer is owned by the model and goes with it
+    model.dispose();
+  }
+}
+
+/**
+ * Train and recommend on a worker thread, keeping the event loop free
+ * @param {Object} options - Same shape as the POST body
+ * @param {Object} callbacks - Optional { onStart, onProgress }
+ * @returns {Array} Formatted recommendations
+ */
+async function generateRecommendations(options, callbacks = {}) {
+  return trainingPool.run({ model: "model2", options }, callbacks);
+}
+
 // Define validation schema for the API
 const model2Schema = {
   body: {
     type: "object",
-    required: ["userRatings"],
     properties: {
       userRatings: {
         type: "array",
@@ -581,35 +604,30 @@ const model2Schema = {
       voteAverageWeight: { type: "number", default: 1.0 },
       voteCountWeight: { type: "number", default: 0.5 },
       popularityWeight: { type: "number", default: 0.8 },
+      // Weight of the user's learned decade affinity
+      eraWeight: { type: "number", default: 1.0 },
       userPreferredGenre: {
         type: ["array", "null"],
         items: { type: "number" },
         default: null,
       },
+      ...watchlistSchemaProperties,
+      ...watchedSchemaProperties,
+      ...languageSchemaProperties,
+      ...eraSchemaProperties,
+      ...diversitySchemaProperties,
+      ...paginationSchemaProperties,
+      // Return a job id right away and poll GET /?jobId= for progress
+      async: { type: "boolean", default: false },
+      // Add a per-film breakdown of the score
+      explain: { type: "boolean", default: false },
+      // Seed the network's initial weights so the same request trains the same way
+      seed: { type: ["integer", "null"], default: null },
     },
   },
   response: {
-    200: {
-      type: "array",
-      items: {
-        type: "object",
-        properties: {
-          id: { type: "number" },
-          title: { type: "string" },
-          overview: { type: "string" },
-          genre_ids: { type: "array", items: { type: "number" } },
-          release_days: { type: "number" },
-          release_year: { type: "string" },
-          popularity: { type: "number" },
-          vote_average: { type: "number" },
-          vote_count: { type: "number" },
-          language_code: { type: "number" },
-          title_length: { type: "number" },
-          poster_path: { type: "string" },
-          score: { type: "number" },
-        },
-      },
-    },
+    200: recommendationPageResponseSchema,
+    202: jobStartedSchema,
     400: {
       type: "object",
       properties: {
@@ -622,35 +640,18 @@ const model2Schema = {
         error: { type: "string" },
       },
     },
+    503: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
   },
 };
 
 module.exports = async function (fastify, opts) {
-  const loadJSON = async (filePath) => {
-    const content = await fs.promises.readFile(filePath, "utf-8");
-    return JSON.parse(content);
-  };
-
   try {
-    processedMovies = await loadJSON(processedMoviesPath);
-    top250Movies = await loadJSON(processedTop250MoviesPath);
-    top250MoviesAllTime = await loadJSON(processedTop250MoviesAllTimePath);
-    classicMovies = await loadJSON(processedClassicPath);
-    comfortMovies20s = await loadJSON(processedComforMovies20sPath);
-    feelingLostMovies = await loadJSON(processedFeelingLostPath);
-    feelSomethingMovies = await loadJSON(processedTFeelingSomethingPath);
-    top250HorrorMovies = await loadJSON(processedTop250HorrorPath);
-    top100NarrativeMovies = await loadJSON(processedTop100NarrativePath);
-    top250MostFansMovies = await loadJSON(processedTop250MostFansPath);
-    top250Documentaries = await loadJSON(processedTop250DcoumentariesPath);
-    psychosexualDramas = await loadJSON(processedPsychosexualPath);
-    whatIsRealityMovies = await loadJSON(processedWhatIsRealityPath);
-    top250WomensMovies = await loadJSON(processedTop250WomensPath);
-    youAreNotTheSameMovies = await loadJSON(processedYourAreNotSamePath);
-    eyeCandy = await loadJSON(processedEyeCandyPath);
-    anime = await loadJSON(processedAnimePath);
-    netflix = await loadJSON(processedNetflixPath);
-    psychoSexual2 = await loadJSON(processedPshycosexual2Path);
+    await loadModelData();
   } catch (error) {
     fastify.log.error(`Error loading movie data: ${error.message}`);
     throw new Error("Failed to load movie data");
@@ -659,65 +660,55 @@ module.exports = async function (fastify, opts) {
   // Endpoint to get movie recommendations
   fastify.post("/", { schema: model2Schema }, async (request, reply) => {
     try {
-      const {
-        userRatings,
-        genreWeight = 1.0,
-        voteAverageWeight = 1.0,
-        voteCountWeight = 0.5,
-        popularityWeight = 0.8,
-        userPreferredGenre = null,
-        movie_list = null,
-      } = request.body;
+      const { userRatings, cursor, offset, limit, legacyArray } = request.body;
+
+      // Later pages come from the stored ranking, without recomputing it
+      if (cursor) {
+        const page = await getResultPage("model2", cursor, limit);
+        if (!page) {
+          return reply.code(400).send({ message: "Invalid or expired cursor" });
+        }
+        return legacyArray ? page.results : page;
+      }
 
       if (!userRatings || userRatings.length === 0) {
         return reply.code(400).send({ message: "No user data" });
       }
 
-      const voteCountPenalty = 10.0;
-      const minVoteCount = voteCountWeight * 40;
-      const weights = {
-        genreWeight,
-        voteAverageWeight,
-        voteCountWeight,
-        popularityWeight,
-      };
-
-      // Build the model - use a local variable
-      let model = null;
+      // Lets the client invalidate the saved model later
+      reply.header("x-model-key", ratingsKey(userRatings));
 
-      try {
-        // Build or get cached model
-        model = await buildModel(genreList.length + 3);
-
-        // Train the model with user data
-        await trainModel(
-          model,
-          userRatings,
-          processedMovies,
-          weights,
-          genreList,
-          voteCountPenalty
-        );
+      if (request.body.async) {
+        // Refuse up front instead of starting a job that fails right away
+        trainingPool.checkCapacity();
 
-        // Generate recommendations
-        const recommendations = await recommendMovies(
-          model,
-          processedMovies,
-          weights,
-          voteCountPenalty,
-          minVoteCount,
-          userRatings,
-          userPreferredGenre,
-          movie_list
+        const jobId = await createRecommendationJob("model2", (callbacks) =>
+          generateRecommendations(request.body, callbacks).then((results) =>
+            createResultPage("model2", results, { offset, limit })
+          )
         );
-
-        return recommendations;
-      } catch (error) {
-        fastify.log.error(`Model error: ${error.message}`);
-        throw error;
+        return reply.code(202).send({
+          jobId,
+          status: "pending",
+          message: "Training started",
+        });
       }
-      // We don't dispose the model here since it might be cached in modelInstance
+
+      const page = await createResultPage(
+        "model2",
+        await generateRecommendations(request.body),
+        { offset, limit }
+      );
+      return legacyArray ? page.results : page;
     } catch (error) {
+      // Every worker is busy and the queue is full
+      if (error.code === "QUEUE_FULL") {
+        return reply
+          .code(503)
+          .header("Retry-After", error.retryAfter)
+          .send({ message: error.message });
+      }
+
       request.log.error(
         `Error generating Model2 recommendations: ${error.message}`
       );
@@ -726,4 +717,44 @@ module.exports = async function (fastify, opts) {
         .send({ error: "Failed to generate Model2 recommendations" });
     }
   });
+
+  // Endpoint to check an async recommendation job
+  fastify.get("/", { schema: jobStatusSchema }, async (request, reply) => {
+    const job = await getRecommendationJob("model2", request.query.jobId);
+
+    if (!job) {
+      return reply.code(400).send({
+        message: "Invalid job ID",
+      });
+    }
+
+    return {
+      model: job.model,
+      status: job.status,
+      progress: job.progress,
+      recommendations:
+        job.status === "completed" ? job.recommendations : undefined,
+      total: job.total,
+      nextCursor: job.nextCursor,
+      error: job.error,
+    };
+  });
+
+  // Endpoint streaming an async job as Server-Sent Events: "status" and
+  // "epoch" events, then "completed" or "failed"
+  fastify.get(
+    "/events",
+    { schema: jobEventsSchema },
+    async (request, reply) => {
+      const { jobId } = request.query;
+      return streamJobEvents(request, reply, jobId, () =>
+        getRecommendationJobEvents("model2", jobId)
+      );
+    }
+  );
 };
+
+module.exports.generateRecommendations = generateRecommendations;
+module.exports.bodySchema = model2Schema.body;
+module.exports.loadModelData = loadModelData;
+module.exports.trainAndRecommend = trainAndRecommend;
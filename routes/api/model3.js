@@ -1,134 +1,60 @@
 // routes/api/model3.js - Fixed dispose issues
 const tf = require("@tensorflow/tfjs");
-const fs = require("fs");
-const path = require("path");
-
-const processedMoviesPath = path.join(
-  __dirname,
-  "../../public/processed_movies3.json"
-);
-const processedTop250MoviesPath = path.join(
-  __dirname,
-  "../../public/official-top-250-narrative-feature.json"
-);
-const processedTop250MoviesAllTimePath = path.join(
-  __dirname,
-  "../../public/letterboxd-top-250-films-history-collected-tmdb.json"
-);
-const processedClassicPath = path.join(
-  __dirname,
-  "../../public/classic-movies-for-beginners.json"
-);
-const processedComforMovies20sPath = path.join(
-  __dirname,
-  "../../public/comfort-movies.json"
-);
-const processedFeelingLostPath = path.join(
-  __dirname,
-  "../../public/feeling-lost-in-your-20s.json"
-);
-const processedTFeelingSomethingPath = path.join(
-  __dirname,
-  "../../public/for-when-you-want-to-feel-something.json"
-);
-const processedTop250HorrorPath = path.join(
-  __dirname,
-  "../../public/letterboxds-top-250-horror-films.json"
-);
-const processedTop100NarrativePath = path.join(
-  __dirname,
-  "../../public/official-top-100-narrative-feature-films-1.json"
-);
-const processedTop250MostFansPath = path.join(
-  __dirname,
-  "../../public/official-top-250-films-with-the-most-fans.json"
-);
-const processedTop250DcoumentariesPath = path.join(
-  __dirname,
-  "../../public/official-top-250-documentary-films.json"
-);
-const processedPsychosexualPath = path.join(
-  __dirname,
-  "../../public/psychosexual-dramas-nihilistic-fever-dreams.json"
-);
-const processedWhatIsRealityPath = path.join(
-  __dirname,
-  "../../public/what-is-reality.json"
-);
-const processedTop250WomensPath = path.join(
-  __dirname,
-  "../../public/women-directors-the-official-top-250-narrative.json"
-);
-const processedYourAreNotSamePath = path.join(
-  __dirname,
-  "../../public/youre-not-the-same-person-once-the-film-has.json"
-);
-
-const processedEyeCandyPath = path.join(
-  __dirname,
-  "../../public/eye-candy.json"
-);
-
-const processedNetflixPath = path.join(__dirname, "../../public/netflix.json");
-
-const processedPshycosexual2Path = path.join(
-  __dirname,
-  "../../public/psychosexual2.json"
-);
-
-const processedAnimePath = path.join(__dirname, "../../public/anime.json");
-
+const {
+  resolveWatchlist,
+  isExcludedByWatchlist,
+  applyWatchlistBoost,
+  watchlistSchemaProperties,
+} = require("./watchlist");
+const { withImplicitRatings, watchedSchemaProperties } = require("./watched");
+const {
+  resolveLanguagePreferences,
+  isExcludedByLanguage,
+  languageBoost,
+  languageFactors,
+  languageSchemaProperties,
+} = require("./languages");
+const {
+  resolveEraPreferences,
+  isExcludedByEra,
+  eraAffinity,
+  eraSchemaProperties,
+} = require("./eras");
+const { rerankByDiversity, diversitySchemaProperties } = require("./diversity");
+const {
+  MAX_RANKED_RESULTS,
+  DEFAULT_PAGE_SIZE,
+  createResultPage,
+  getResultPage,
+  paginationSchemaProperties,
+  recommendationPageResponseSchema,
+} = require("./result-cache");
+const {
+  loadCatalogs,
+  getCatalog,
+  getDefaultCatalog,
+} = require("./catalog-registry");
+const {
+  createRecommendationJob,
+  getRecommendationJob,
+  getRecommendationJobEvents,
+  jobStartedSchema,
+  jobStatusSchema,
+} = require("./recommendation-jobs");
+const {
+  jobEventsSchema,
+  formatRecommendations,
+} = require("./letterboxd-schema");
+const { genreList } = require("./genres");
+const {
+  genreFeatureNames,
+  toContributions,
+  describeBoosts,
+} = require("./explanation");
+const { streamJobEvents } = require("./job-events");
+
+// Default catalog (processed_movies3.json), set once the registry is loaded
 let processedMovies;
-let top250Movies;
-let top250MoviesAllTime;
-let classicMovies;
-let comfortMovies20s;
-let feelingLostMovies;
-let feelSomethingMovies;
-let top250HorrorMovies;
-let top100NarrativeMovies;
-let top250MostFansMovies;
-let top250Documentaries;
-let psychosexualDramas;
-let whatIsRealityMovies;
-let top250WomensMovies;
-let youAreNotTheSameMovies;
-let eyeCandy;
-let anime;
-let netflix;
-let psychoSexual2;
-
-// List of all possible genre IDs
-const genreList = [
-  28, 12, 16, 35, 80, 99, 18, 10751, 14, 36, 27, 10402, 9648, 10749, 878, 10770,
-  53, 10752, 37,
-];
-
-/**
- * Calculate the user's preferred language for a specific genre
- */
-function calculatePreferredLanguage(userRatings, genreId) {
-  const languageCounts = {};
-
-  for (const rating of userRatings) {
-    if (rating.genre_ids.includes(genreId)) {
-      const movie = processedMovies.find((m) => m.id === rating.id);
-      if (movie) {
-        const lang = movie.original_language;
-        languageCounts[lang] = (languageCounts[lang] || 0) + rating.user_rating; // Weight by user rating
-      }
-    }
-  }
-
-  if (Object.keys(languageCounts).length === 0) {
-    return null; // No preferred language
-  }
-
-  // Return the language with the highest weighted count
-  return Object.keys(languageCounts).reduce((a, b) =>
-    languageCounts[a] > languageCounts[b] ? a : b
-  );
-}
 
 /**
  * Calculate dynamic genre weights based on user watch history
@@ -153,66 +79,6 @@ function calculateGenreWeights(userRatings) {
   }, {});
 }
 
-/**
- * Format recommendations to match the required structure
- * @param {Array} recommendations - Raw recommendations
- * @returns {Array} Formatted recommendations
- */
-function formatRecommendations(recommendations) {
-  return recommendations.map((movie) => {
-    // Map language codes to integers
-    const languageCodeMap = {
-      en: 1,
-      ja: 2,
-      ko: 3,
-      zh: 4,
-      fr: 5,
-      es: 6,
-      de: 7,
-      it: 8,
-      ru: 9,
-      hi: 10,
-      pt: 11,
-      th: 12,
-      ar: 13,
-      sv: 14,
-      nl: 15,
-    };
-
-    // Calculate days since 1988-01-01 (baseline for release_days)
-    const baseline = new Date("1988-01-01").getTime();
-    const releaseDate = movie.release_date
-      ? new Date(movie.release_date).getTime()
-      : baseline;
-    const daysSinceBaseline = Math.floor(
-      (releaseDate - baseline) / (1000 * 60 * 60 * 24)
-    );
-
-    // Clean up genre_ids to ensure exactly 5 elements (padding with 0 if needed)
-    const genreIds = [...(movie.genre_ids || [])];
-    while (genreIds.length < 5) genreIds.push(0);
-    if (genreIds.length > 5) genreIds.length = 5;
-
-    return {
-      id: movie.id,
-      title: movie.title || "",
-      overview: movie.overview || "",
-      genre_ids: genreIds,
-      release_days: daysSinceBaseline,
-      release_year: movie.release_date
-        ? movie.release_date.substring(0, 4)
-        : "",
-      popularity: movie.popularity || 0,
-      vote_average: movie.vote_average || 0,
-      vote_count: movie.vote_count || 0,
-      language_code: languageCodeMap[movie.original_language] || 0,
-      title_length: (movie.title || "").length,
-      poster_path: movie.poster_path || "",
-      score: movie.score || 0,
-    };
-  });
-}
-
 /**
  * Predict recommendations without neural network training
  */
@@ -223,71 +89,21 @@ async function recommendMovies(
   minVoteCount,
   userRatings,
   userPreferredGenre,
-  movie_list
+  movie_list,
+  options = {}
 ) {
-  let moviesToRecommendFrom;
-
-  switch (movie_list) {
-    case "all":
-      moviesToRecommendFrom = processedMovies;
-      break;
-    case "top250Films":
-      moviesToRecommendFrom = top250Movies;
-      break;
-    case "top250FilmsAllTime":
-      moviesToRecommendFrom = top250MoviesAllTime;
-      break;
-    case "top100Under15000":
-      moviesToRecommendFrom = top100NarrativeMovies;
-      break;
-    case "top250MostFans":
-      moviesToRecommendFrom = top250MostFansMovies;
-      break;
-    case "top250WomenDirectors":
-      moviesToRecommendFrom = top250WomensMovies;
-      break;
-    case "top250Horro":
-      moviesToRecommendFrom = top250HorrorMovies;
-      break;
-    case "moveisThatFeels":
-      moviesToRecommendFrom = feelSomethingMovies;
-      break;
-    case "notSamePersion":
-      moviesToRecommendFrom = youAreNotTheSameMovies;
-      break;
-    case "psychoSexual":
-      moviesToRecommendFrom = psychosexualDramas;
-      break;
-    case "classicMovies":
-      moviesToRecommendFrom = classicMovies;
-      break;
-    case "comfortMovies":
-      moviesToRecommendFrom = comfortMovies20s;
-      break;
-    case "feelingLost20s":
-      moviesToRecommendFrom = feelingLostMovies;
-      break;
-    case "whatIsRealtiy":
-      moviesToRecommendFrom = whatIsRealityMovies;
-      break;
-    case "top250Documentaries":
-      moviesToRecommendFrom = top250Documentaries;
-      break;
-    case "eyeCanday":
-      moviesToRecommendFrom = eyeCandy;
-      break;
-    case "anime":
-      moviesToRecommendFrom = anime;
-      break;
-    case "netflix":
-      moviesToRecommendFrom = netflix;
-      break;
-    case "psychoSexual2":
-      moviesToRecommendFrom = psychoSexual2;
-      break;
-    default:
-      moviesToRecommendFrom = processedMovies;
-  }
+  const {
+    watchlist = null,
+    watched = [],
+    languagePreferences,
+    eraPreferences,
+    explain = false,
+    page = { offset: 0, limit: DEFAULT_PAGE_SIZE },
+    diversity = 0,
+  } = options;
+
+  // Catalog or custom list pool, falling back to the full catalog
+  const moviesToRecommendFrom = getCatalog(movie_list) || processedMovies;
 
   const maxPopularity = Math.max(
     ...processedMovies.map((m) => m.popularity || 1)
@@ -296,18 +112,22 @@ async function recommendMovies(
     ...processedMovies.map((m) => m.vote_count || 1)
   );
 
-  const watchedMovieIds = userRatings.map((rating) => rating.id); // Get the list of watched movie IDs
+  // Rated films plus any unrated films the user has watched
+  const watchedMovieIds = new Set([
+    ...userRatings.map((rating) => rating.id),
+    ...watched,
+  ]);
 
   // Calculate dynamic genre weights
   const genreWeights = calculateGenreWeights(userRatings);
 
-  // Calculate preferred language for animation
-  const preferredLanguage = calculatePreferredLanguage(userRatings, 16);
-
   const filteredMovies = moviesToRecommendFrom.filter(
     (movie) =>
       movie.vote_count >= minVoteCount &&
-      !watchedMovieIds.includes(movie.id) &&
+      !watchedMovieIds.has(movie.id) &&
+      !isExcludedByWatchlist(movie, watchlist) &&
+      !isExcludedByLanguage(movie, languagePreferences) &&
+      !isExcludedByEra(movie, eraPreferences) &&
       // Check if movie has at least one preferred genre
       (userPreferredGenre === null ||
         userPreferredGenre.length === 0 ||
@@ -324,12 +144,8 @@ async function recommendMovies(
         const baseWeight = genreWeights[genreId] || 0;
         let weight = baseWeight;
 
-        // Adjust weight for animation genre based on language
-        if (genreId === 16 && preferredLanguage) {
-          const languageBoost =
-            movie.original_language === preferredLanguage ? 2 : 0.5;
-          weight *= languageBoost;
-        }
+        // Boost genres in the user's preferred language, reduce the others
+        weight *= languageBoost(movie, genreId, languagePreferences);
 
         // NEW: Boost for any preferred genre in the array
         if (
@@ -357,12 +173,15 @@ async function recommendMovies(
       Math.exp(
         -voteCountPenalty * (1 - (movie.vote_count || 1) / maxVoteCount)
       );
+    // How much the user likes the film's decade
+    const scaledEra = eraAffinity(movie, eraPreferences) * weights.eraWeight;
 
     return [
       ...genreFeatures,
       scaledPopularity,
       scaledVoteAverage,
       scaledVoteCount,
+      scaledEra,
     ];
   });
 
@@ -389,23 +208,136 @@ async function recommendMovies(
     if (sumTensor) sumTensor.dispose();
   }
 
-  const recommendationResults = filteredMovies
+  const rankedMovies = filteredMovies
     .map((movie, index) => ({
       ...movie,
-      score: scores[index],
+      score: applyWatchlistBoost(scores[index], movie, watchlist),
+      inputIndex: index,
     }))
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 35);
+    .sort((a, b) => b.score - a.score);
+
+  // Balance score and variety when asked to; the route pages through the rest
+  const recommendationResults = rerankByDiversity(
+    rankedMovies,
+    diversity,
+    MAX_RANKED_RESULTS
+  );
+
+  if (explain) {
+    // Only the page being returned; later pages are read from the cache
+    const explained = recommendationResults.slice(
+      page.offset,
+      page.offset + page.limit
+    );
+    explained.forEach((movie) => {
+      const row = inputs[movie.inputIndex];
+      movie.explanation = {
+        // The score is the plain sum of the features
+        method: "sum",
+        contributions: toContributions(movie, genreFeatureNames, row, row),
+        boosts: describeBoosts(movie, {
+          userPreferredGenre,
+          preferredGenreFactor: 10,
+          languageFactors: languageFactors(movie, languagePreferences),
+          watchlist,
+        }),
+      };
+    });
+  }
 
   // Format the recommendations to match the required structure
   return formatRecommendations(recommendationResults);
 }
 
+/**
+ * Load the catalogs the model scores
+ */
+async function loadModelData() {
+  await loadCatalogs();
+  processedMovies = getDefaultCatalog();
+}
+
+/**
+ * Score the catalog against the user's ratings and return recommendations
+ * @param {Object} options - Same shape as the POST body
+ * @returns {Array} Formatted recommendations
+ */
+async function generateRecommendations({
+  userRatings,
+  genreWeight = 1.0,
+  voteAverageWeight = 1.0,
+  voteCountWeight = 1.0,
+  popularityWeight = 1.0,
+  eraWeight = 3.0,
+  userPreferredGenre = null,
+  movie_list = null,
+  watchlist = null,
+  watchlistMode = "exclude",
+  watchlistBoost = 1.5,
+  watched = null,
+  implicitFeedback = false,
+  implicitRating = 7,
+  preferredLanguages = null,
+  excludeLanguages = null,
+  yearFrom = null,
+  yearTo = null,
+  preferredDecades = null,
+  // Replaces the threshold derived from voteCountWeight (the ensemble
+  // sets one for every model)
+  minVoteCount = null,
+  explain = false,
+  offset = 0,
+  limit = DEFAULT_PAGE_SIZE,
+  diversity = 0,
+}) {
+  // Unrated watched films count as positive feedback when requested
+  const ratings = withImplicitRatings(userRatings, watched, processedMovies, {
+    implicitFeedback,
+    implicitRating,
+  });
+
+  const voteCountPenalty = 10.0;
+  const minVotes = minVoteCount === null ? voteCountWeight * 40 : minVoteCount;
+  const weights = {
+    genreWeight,
+    voteAverageWeight,
+    voteCountWeight,
+    popularityWeight,
+    eraWeight,
+  };
+
+  // Generate recommendations without neural network
+  return recommendMovies(
+    processedMovies,
+    weights,
+    voteCountPenalty,
+    minVotes,
+    ratings,
+    userPreferredGenre,
+    movie_list,
+    {
+      watchlist: resolveWatchlist({ watchlist, watchlistMode, watchlistBoost }),
+      watched: watched || [],
+      languagePreferences: resolveLanguagePreferences(ratings, {
+        preferredLanguages,
+        excludeLanguages,
+      }),
+      eraPreferences: resolveEraPreferences(ratings, {
+        yearFrom,
+        yearTo,
+        preferredDecades,
+      }),
+      explain,
+      page: { offset, limit },
+      diversity,
+    }
+  );
+}
+
 // Define validation schema for the API
 const model3Schema = {
   body: {
     type: "object",
-    required: ["userRatings"],
     properties: {
       userRatings: {
         type: "array",
@@ -423,36 +355,30 @@ const model3Schema = {
       voteAverageWeight: { type: "number", default: 1.0 },
       voteCountWeight: { type: "number", default: 1.0 },
       popularityWeight: { type: "number", default: 1.0 },
+      // Weight of the user's learned decade affinity. Higher than in the
+      // trained models: the genre features alone add up to several points.
+      eraWeight: { type: "number", default: 3.0 },
       userPreferredGenre: {
         type: ["array", "null"],
         items: { type: "number" },
         default: null,
       },
+      ...watchlistSchemaProperties,
+      ...watchedSchemaProperties,
+      ...languageSchemaProperties,
+      ...eraSchemaProperties,
+      ...diversitySchemaProperties,
+      ...paginationSchemaProperties,
       movie_list: { type: "string" },
+      // Return a job id right away and poll GET /?jobId= for the results
+      async: { type: "boolean", default: false },
+      // Add a per-film breakdown of the score
+      explain: { type: "boolean", default: false },
     },
   },
   response: {
-    200: {
-      type: "array",
-      items: {
-        type: "object",
-        properties: {
-          id: { type: "number" },
-          title: { type: "string" },
-          overview: { type: "string" },
-          genre_ids: { type: "array", items: { type: "number" } },
-          release_days: { type: "number" },
-          release_year: { type: "string" },
-          popularity: { type: "number" },
-          vote_average: { type: "number" },
-          vote_count: { type: "number" },
-          language_code: { type: "number" },
-          title_length: { type: "number" },
-          poster_path: { type: "string" },
-          score: { type: "number" },
-        },
-      },
-    },
+    200: recommendationPageResponseSchema,
+    202: jobStartedSchema,
     400: {
       type: "object",
       properties: {
@@ -469,31 +395,8 @@ const model3Schema = {
 };
 
 module.exports = async function (fastify, opts) {
-  const loadJSON = async (filePath) => {
-    const content = await fs.promises.readFile(filePath, "utf-8");
-    return JSON.parse(content);
-  };
-
   try {
-    processedMovies = await loadJSON(processedMoviesPath);
-    top250Movies = await loadJSON(processedTop250MoviesPath);
-    top250MoviesAllTime = await loadJSON(processedTop250MoviesAllTimePath);
-    classicMovies = await loadJSON(processedClassicPath);
-    comfortMovies20s = await loadJSON(processedComforMovies20sPath);
-    feelingLostMovies = await loadJSON(processedFeelingLostPath);
-    feelSomethingMovies = await loadJSON(processedTFeelingSomethingPath);
-    top250HorrorMovies = await loadJSON(processedTop250HorrorPath);
-    top100NarrativeMovies = await loadJSON(processedTop100NarrativePath);
-    top250MostFansMovies = await loadJSON(processedTop250MostFansPath);
-    top250Documentaries = await loadJSON(processedTop250DcoumentariesPath);
-    psychosexualDramas = await loadJSON(processedPsychosexualPath);
-    whatIsRealityMovies = await loadJSON(processedWhatIsRealityPath);
-    top250WomensMovies = await loadJSON(processedTop250WomensPath);
-    youAreNotTheSameMovies = await loadJSON(processedYourAreNotSamePath);
-    eyeCandy = await loadJSON(processedEyeCandyPath);
-    anime = await loadJSON(processedAnimePath);
-    netflix = await loadJSON(processedNetflixPath);
-    psychoSexual2 = await loadJSON(processedPshycosexual2Path);
+    await loadModelData();
   } catch (error) {
     fastify.log.error(`Error loading movie data: ${error.message}`);
     throw new Error("Failed to load movie data");
@@ -502,41 +405,42 @@ module.exports = async function (fastify, opts) {
   // Endpoint to get movie recommendations
   fastify.post("/", { schema: model3Schema }, async (request, reply) => {
     try {
-      const {
-        userRatings,
-        genreWeight = 1.0,
-        voteAverageWeight = 1.0,
-        voteCountWeight = 1.0,
-        popularityWeight = 1.0,
-        userPreferredGenre = null,
-        movie_list = null,
-      } = request.body;
+      const { userRatings, cursor, offset, limit, legacyArray } = request.body;
+
+      // Later pages come from the stored ranking, without recomputing it
+      if (cursor) {
+        const page = await getResultPage("model3", cursor, limit);
+        if (!page) {
+          return reply.code(400).send({ message: "Invalid or expired cursor" });
+        }
+        return legacyArray ? page.results : page;
+      }
 
       if (!userRatings || userRatings.length === 0) {
         return reply.code(400).send({ message: "No user data" });
       }
 
-      const voteCountPenalty = 10.0;
-      const minVoteCount = voteCountWeight * 40;
-      const weights = {
-        genreWeight,
-        voteAverageWeight,
-        voteCountWeight,
-        popularityWeight,
-      };
+      if (request.body.async) {
+        // No training here, so the job never reports epoch progress
+        const jobId = await createRecommendationJob("model3", ({ onStart }) => {
+          onStart();
+          return generateRecommendations(request.body).then((results) =>
+            createResultPage("model3", results, { offset, limit })
+          );
+        });
+        return reply.code(202).send({
+          jobId,
+          status: "pending",
+          message: "Scoring started",
+        });
+      }
 
-      // Generate recommendations without neural network
-      const recommendations = await recommendMovies(
-        processedMovies,
-        weights,
-        voteCountPenalty,
-        minVoteCount,
-        userRatings,
-        userPreferredGenre,
-        movie_list
+      const page = await createResultPage(
+        "model3",
+        await generateRecommendations(request.body),
+        { offset, limit }
       );
-
-      return recommendations;
+      return legacyArray ? page.results : page;
     } catch (error) {
       request.log.error(
         `Error generating Model3 recommendations: ${error.message}`
@@ -546,4 +450,43 @@ module.exports = async function (fastify, opts) {
         .send({ error: "Failed to generate Model3 recommendations" });
     }
   });
+
+  // Endpoint to check an async recommendation job
+  fastify.get("/", { schema: jobStatusSchema }, async (request, reply) => {
+    const job = await getRecommendationJob("model3", request.query.jobId);
+
+    if (!job) {
+      return reply.code(400).send({
+        message: "Invalid job ID",
+      });
+    }
+
+    return {
+      model: job.model,
+      status: job.status,
+      progress: job.progress,
+      recommendations:
+        job.status === "completed" ? job.recommendations : undefined,
+      total: job.total,
+      nextCursor: job.nextCursor,
+      error: job.error,
+    };
+  });
+
+  // Endpoint streaming an async job as Server-Sent Events: "status" and
+  // "epoch" events, then "completed" or "failed"
+  fastify.get(
+    "/events",
+    { schema: jobEventsSchema },
+    async (request, reply) => {
+      const { jobId } = request.query;
+      return streamJobEvents(request, reply, jobId, () =>
+        getRecommendationJobEvents("model3", jobId)
+      );
+    }
+  );
 };
+
+module.exports.generateRecommendations = generateRecommendations;
+module.exports.bodySchema = model3Schema.body;
+module.exports.loadModelData = loadModelData;
@@ -0,0 +1,395 @@
+// routes/api/model4.js - Content-based recommendations from overview and title text
+const {
+  resolveWatchlist,
+  isExcludedByWatchlist,
+  applyWatchlistBoost,
+  watchlistSchemaProperties,
+} = require("./watchlist");
+const { withImplicitRatings, watchedSchemaProperties } = require("./watched");
+const {
+  resolveLanguagePreferences,
+  isExcludedByLanguage,
+  applyLanguageBoost,
+  languageFactors,
+  languageSchemaProperties,
+} = require("./languages");
+const {
+  resolveEraPreferences,
+  isExcludedByEra,
+  eraSchemaProperties,
+} = require("./eras");
+const { rerankByDiversity, diversitySchemaProperties } = require("./diversity");
+const {
+  MAX_RANKED_RESULTS,
+  DEFAULT_PAGE_SIZE,
+  createResultPage,
+  getResultPage,
+  paginationSchemaProperties,
+  recommendationPageResponseSchema,
+} = require("./result-cache");
+const {
+  loadCatalogs,
+  getCatalog,
+  getDefaultCatalog,
+  getMovieById,
+} = require("./catalog-registry");
+const { centroid, cosineSimilarity } = require("./tfidf");
+const {
+  loadTextIndex,
+  movieVector,
+  indexedMovieVector,
+} = require("./movie-text");
+const {
+  createRecommendationJob,
+  getRecommendationJob,
+  getRecommendationJobEvents,
+  jobStartedSchema,
+  jobStatusSchema,
+} = require("./recommendation-jobs");
+const {
+  jobEventsSchema,
+  formatRecommendations,
+} = require("./letterboxd-schema");
+const { streamJobEvents } = require("./job-events");
+const { describeBoosts } = require("./explanation");
+
+// Default catalog (processed_movies3.json), set once the registry is loaded
+let processedMovies;
+
+/**
+ * Load the catalogs and index the text of every movie in them
+ */
+async function loadModelData() {
+  await loadCatalogs();
+  processedMovies = getDefaultCatalog();
+  await loadTextIndex();
+}
+
+/**
+ * The user's taste as the centroid of their rated films, weighted by how far
+ * each rating is from the user's mean: films rated below it pull the profile
+ * away from their text. A user with one rating for everything gets an
+ * unweighted centroid.
+ */
+function buildUserProfile(userRatings) {
+  const rated = userRatings.filter((rating) => indexedMovieVector(rating.id));
+  if (rated.length === 0) return null;
+
+  const userMean =
+    rated.reduce((sum, rating) => sum + rating.user_rating, 0) / rated.length;
+  const uniform = rated.every(
+    (rating) => rating.user_rating === rated[0].user_rating
+  );
+
+  return centroid(
+    rated.map((rating) => ({
+      vector: indexedMovieVector(rating.id),
+      weight: uniform ? 1 : rating.user_rating - userMean,
+    }))
+  );
+}
+
+/**
+ * Rank candidates by the cosine similarity of their text to the user profile
+ */
+function recommendMovies(userRatings, userPreferredGenre, movie_list, options) {
+  const {
+    watchlist = null,
+    watched = [],
+    minVoteCount = 0,
+    languagePreferences,
+    eraPreferences,
+    explain = false,
+    page = { offset: 0, limit: DEFAULT_PAGE_SIZE },
+    diversity = 0,
+  } = options;
+
+  // Catalog or custom list pool, falling back to the full catalog
+  const moviesToRecommendFrom = getCatalog(movie_list) || processedMovies;
+
+  const profile = buildUserProfile(userRatings);
+  if (!profile) {
+    return []; // None of the rated films are in the catalogs
+  }
+
+  // Rated films plus any unrated films the user has watched
+  const watchedMovieIds = new Set([
+    ...userRatings.map((rating) => rating.id),
+    ...watched,
+  ]);
+
+  const rankedMovies = moviesToRecommendFrom
+    .filter(
+      (movie) =>
+        movie.vote_count >= minVoteCount &&
+        !watchedMovieIds.has(movie.id) &&
+        !isExcludedByWatchlist(movie, watchlist) &&
+        !isExcludedByLanguage(movie, languagePreferences) &&
+        !isExcludedByEra(movie, eraPreferences) &&
+        // Check if movie has at least one preferred genre
+        (userPreferredGenre === null ||
+          userPreferredGenre.length === 0 ||
+          userPreferredGenre.some((genre) => movie.genre_ids.includes(genre)))
+    )
+    .map((movie) => ({
+      ...movie,
+      score: applyWatchlistBoost(
+        applyLanguageBoost(
+          cosineSimilarity(profile, movieVector(movie)),
+          movie,
+          languagePreferences
+        ),
+        movie,
+        watchlist
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Balance score and variety when asked to; the route pages through the rest
+  const recommendationResults = rerankByDiversity(
+    rankedMovies,
+    diversity,
+    MAX_RANKED_RESULTS
+  );
+
+  if (explain) {
+    const ratedInIndex = userRatings.filter((rating) =>
+      indexedMovieVector(rating.id)
+    );
+
+    // Only the page being returned; later pages are read from the cache
+    const explained = recommendationResults.slice(
+      page.offset,
+      page.offset + page.limit
+    );
+    explained.forEach((movie) => {
+      const vector = movieVector(movie);
+      movie.explanation = {
+        method: "similarity",
+        contributions: [],
+        boosts: describeBoosts(movie, {
+          // Only explicit preferences apply, to the whole film
+          languageFactors: languagePreferences.preferred
+            ? languageFactors(movie, languagePreferences)
+            : [],
+          watchlist,
+        }),
+        // The rated films whose text is closest to this one
+        similarRatedFilms: ratedInIndex
+          .map((rating) => ({
+            id: rating.id,
+            title: (getMovieById(rating.id) || {}).title || "",
+            userRating: rating.user_rating,
+            similarity: cosineSimilarity(vector, indexedMovieVector(rating.id)),
+          }))
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, 3),
+      };
+    });
+  }
+
+  // Format the recommendations to match the required structure
+  return formatRecommendations(recommendationResults);
+}
+
+/**
+ * Score the catalog against the user's ratings and return recommendations
+ * @param {Object} options - Same shape as the POST body
+ * @returns {Array} Formatted recommendations
+ */
+async function generateRecommendations({
+  userRatings,
+  userPreferredGenre = null,
+  movie_list = null,
+  watchlist = null,
+  watchlistMode = "exclude",
+  watchlistBoost = 1.5,
+  watched = null,
+  implicitFeedback = false,
+  implicitRating = 7,
+  preferredLanguages = null,
+  excludeLanguages = null,
+  yearFrom = null,
+  yearTo = null,
+  preferredDecades = null,
+  // No vote threshold of its own; the ensemble sets one for every model
+  minVoteCount = 0,
+  explain = false,
+  offset = 0,
+  limit = DEFAULT_PAGE_SIZE,
+  diversity = 0,
+}) {
+  // Unrated watched films count as positive feedback when requested
+  const ratings = withImplicitRatings(userRatings, watched, processedMovies, {
+    implicitFeedback,
+    implicitRating,
+  });
+
+  return recommendMovies(ratings, userPreferredGenre, movie_list, {
+    watchlist: resolveWatchlist({ watchlist, watchlistMode, watchlistBoost }),
+    watched: watched || [],
+    minVoteCount,
+    languagePreferences: resolveLanguagePreferences(ratings, {
+      preferredLanguages,
+      excludeLanguages,
+    }),
+    eraPreferences: resolveEraPreferences(ratings, {
+      yearFrom,
+      yearTo,
+      preferredDecades,
+    }),
+    explain,
+    page: { offset, limit },
+    diversity,
+  });
+}
+
+// Define validation schema for the API
+const model4Schema = {
+  body: {
+    type: "object",
+    properties: {
+      userRatings: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["genre_ids", "user_rating", "id"],
+          properties: {
+            genre_ids: { type: "array", items: { type: "number" } },
+            user_rating: { type: "number" },
+            id: { type: "number" },
+          },
+        },
+      },
+      userPreferredGenre: {
+        type: ["array", "null"],
+        items: { type: "number" },
+        default: null,
+      },
+      ...watchlistSchemaProperties,
+      ...watchedSchemaProperties,
+      ...languageSchemaProperties,
+      ...eraSchemaProperties,
+      ...diversitySchemaProperties,
+      ...paginationSchemaProperties,
+      movie_list: { type: "string" },
+      // Return a job id right away and poll GET /?jobId= for the results
+      async: { type: "boolean", default: false },
+      // Add a per-film breakdown of the score
+      explain: { type: "boolean", default: false },
+    },
+  },
+  response: {
+    200: recommendationPageResponseSchema,
+    202: jobStartedSchema,
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+    500: {
+      type: "object",
+      properties: {
+        error: { type: "string" },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  try {
+    await loadModelData();
+  } catch (error) {
+    fastify.log.error(`Error loading movie data: ${error.message}`);
+    throw new Error("Failed to load movie data");
+  }
+
+  // Endpoint to get movie recommendations
+  fastify.post("/", { schema: model4Schema }, async (request, reply) => {
+    try {
+      const { userRatings, cursor, offset, limit, legacyArray } = request.body;
+
+      // Later pages come from the stored ranking, without recomputing it
+      if (cursor) {
+        const page = await getResultPage("model4", cursor, limit);
+        if (!page) {
+          return reply.code(400).send({ message: "Invalid or expired cursor" });
+        }
+        return legacyArray ? page.results : page;
+      }
+
+      if (!userRatings || userRatings.length === 0) {
+        return reply.code(400).send({ message: "No user data" });
+      }
+
+      if (request.body.async) {
+        // No training here, so the job never reports epoch progress
+        const jobId = await createRecommendationJob("model4", ({ onStart }) => {
+          onStart();
+          return generateRecommendations(request.body).then((results) =>
+            createResultPage("model4", results, { offset, limit })
+          );
+        });
+        return reply.code(202).send({
+          jobId,
+          status: "pending",
+          message: "Scoring started",
+        });
+      }
+
+      const page = await createResultPage(
+        "model4",
+        await generateRecommendations(request.body),
+        { offset, limit }
+      );
+      return legacyArray ? page.results : page;
+    } catch (error) {
+      request.log.error(
+        `Error generating Model4 recommendations: ${error.message}`
+      );
+      return reply
+        .code(500)
+        .send({ error: "Failed to generate Model4 recommendations" });
+    }
+  });
+
+  // Endpoint to check an async recommendation job
+  fastify.get("/", { schema: jobStatusSchema }, async (request, reply) => {
+    const job = await getRecommendationJob("model4", request.query.jobId);
+
+    if (!job) {
+      return reply.code(400).send({
+        message: "Invalid job ID",
+      });
+    }
+
+    return {
+      model: job.model,
+      status: job.status,
+      progress: job.progress,
+      recommendations:
+        job.status === "completed" ? job.recommendations : undefined,
+      total: job.total,
+      nextCursor: job.nextCursor,
+      error: job.error,
+    };
+  });
+
+  // Endpoint streaming an async job as Server-Sent Events: "status" and
+  // "epoch" events, then "completed" or "failed"
+  fastify.get(
+    "/events",
+    { schema: jobEventsSchema },
+    async (request, reply) => {
+      const { jobId } = request.query;
+      return streamJobEvents(request, reply, jobId, () =>
+        getRecommendationJobEvents("model4", jobId)
+      );
+    }
+  );
+};
+
+module.exports.generateRecommendations = generateRecommendations;
+module.exports.bodySchema = model4Schema.body;
+module.exports.loadModelData = loadModelData;
@@ -0,0 +1,688 @@
+// routes/api/model5.js - Collaborative filtering from every stored user's ratings
+const crypto = require("crypto");
+const {
+  resolveWatchlist,
+  isExcludedByWatchlist,
+  applyWatchlistBoost,
+  watchlistSchemaProperties,
+} = require("./watchlist");
+const { withImplicitRatings, watchedSchemaProperties } = require("./watched");
+const {
+  resolveLanguagePreferences,
+  isExcludedByLanguage,
+  applyLanguageBoost,
+  languageFactors,
+  languageSchemaProperties,
+} = require("./languages");
+const {
+  resolveEraPreferences,
+  isExcludedByEra,
+  eraSchemaProperties,
+} = require("./eras");
+const { rerankByDiversity, diversitySchemaProperties } = require("./diversity");
+const {
+  MAX_RANKED_RESULTS,
+  DEFAULT_PAGE_SIZE,
+  createResultPage,
+  getResultPage,
+  paginationSchemaProperties,
+  recommendationPageResponseSchema,
+} = require("./result-cache");
+const {
+  loadCatalogs,
+  getCatalog,
+  getDefaultCatalog,
+  getMovieById,
+} = require("./catalog-registry");
+const {
+  foldInUser,
+  predictScore,
+  summarizeModel,
+  loadCollaborativeModel,
+  replaceCollaborativeModel,
+  getCollaborativeModel,
+  checkCollaborativeModel,
+} = require("./collaborative");
+const { createJobStore } = require("./job-store");
+const { trainingPool } = require("./worker-pool");
+const { getStoredUserRatings } = require("./letterboxd");
+const {
+  createRecommendationJob,
+  getRecommendationJob,
+  getRecommendationJobEvents,
+  jobStartedSchema,
+  jobStatusSchema,
+} = require("./recommendation-jobs");
+const {
+  jobEventsSchema,
+  formatRecommendations,
+} = require("./letterboxd-schema");
+const { streamJobEvents } = require("./job-events");
+const { describeBoosts } = require("./explanation");
+
+// Default catalog (processed_movies3.json), set once the registry is loaded
+let processedMovies;
+
+// Background runs of POST /train
+const trainingJobs = createJobStore("collaborativeTrainingJobs");
+
+// Kept as long as recommendation jobs
+const TRAINING_JOB_TTL_MS =
+  parseInt(process.env.RECOMMENDATION_JOB_TTL_MS) || 3600000;
+
+/**
+ * Load the catalogs and the last trained collaborative model, if any
+ */
+async function loadModelData() {
+  await loadCatalogs();
+  processedMovies = getDefaultCatalog();
+  await loadCollaborativeModel();
+}
+
+/**
+ * Cosine similarity of two films' latent factors
+ */
+function factorSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank candidates by the dot product of the user's and the films' factors
+ */
+function recommendMovies(userRatings, userPreferredGenre, movie_list, options) {
+  const {
+    watchlist = null,
+    watched = [],
+    minVoteCount = 0,
+    languagePreferences,
+    eraPreferences,
+    explain = false,
+    page = { offset: 0, limit: DEFAULT_PAGE_SIZE },
+    diversity = 0,
+  } = options;
+
+  checkCollaborativeModel();
+  const model = getCollaborativeModel();
+
+  // Catalog or custom list pool, falling back to the full catalog
+  const moviesToRecommendFrom = getCatalog(movie_list) || processedMovies;
+
+  const userFactors = foldInUser(model, userRatings);
+  if (!userFactors) {
+    return []; // None of the rated films were rated by the stored users
+  }
+
+  // Rated films plus any unrated films the user has watched
+  const watchedMovieIds = new Set([
+    ...userRatings.map((rating) => rating.id),
+    ...watched,
+  ]);
+
+  // Only films other users have rated have factors to score
+  const rankedMovies = moviesToRecommendFrom
+    .filter(
+      (movie) =>
+        model.items.has(movie.id) &&
+        movie.vote_count >= minVoteCount &&
+        !watchedMovieIds.has(movie.id) &&
+        !isExcludedByWatchlist(movie, watchlist) &&
+        !isExcludedByLanguage(movie, languagePreferences) &&
+        !isExcludedByEra(movie, eraPreferences) &&
+        // Check if movie has at least one preferred genre
+        (userPreferredGenre === null ||
+          userPreferredGenre.length === 0 ||
+          userPreferredGenre.some((genre) => movie.genre_ids.includes(genre)))
+    )
+    .map((movie) => ({
+      ...movie,
+      score: applyWatchlistBoost(
+        applyLanguageBoost(
+          predictScore(model, userFactors, movie.id),
+          movie,
+          languagePreferences
+        ),
+        movie,
+        watchlist
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Balance score and variety when asked to; the route pages through the rest
+  const recommendationResults = rerankByDiversity(
+    rankedMovies,
+    diversity,
+    MAX_RANKED_RESULTS
+  );
+
+  if (explain) {
+    const ratedInModel = userRatings.filter((rating) =>
+      model.items.has(rating.id)
+    );
+
+    // Only the page being returned; later pages are read from the cache
+    const explained = recommendationResults.slice(
+      page.offset,
+      page.offset + page.limit
+    );
+    explained.forEach((movie) => {
+      const { factors } = model.items.get(movie.id);
+      movie.explanation = {
+        method: "collaborative",
+        contributions: [],
+        boosts: describeBoosts(movie, {
+          // Only explicit preferences apply, to the whole film
+          languageFactors: languagePreferences.preferred
+            ? languageFactors(movie, languagePreferences)
+            : [],
+          watchlist,
+        }),
+        // The rated films other users rate most like this one
+        similarRatedFilms: ratedInModel
+          .map((rating) => ({
+            id: rating.id,
+            title: (getMovieById(rating.id) || {}).title || "",
+            userRating: rating.user_rating,
+            similarity: factorSimilarity(
+              factors,
+              model.items.get(rating.id).factors
+            ),
+          }))
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, 3),
+      };
+    });
+  }
+
+  // Format the recommendations to match the required structure
+  return formatRecommendations(recommendationResults);
+}
+
+/**
+ * Fold the user into the trained model and return recommendations
+ * @param {Object} options - Same shape as the POST body
+ * @returns {Array} Formatted recommendations
+ */
+async function generateRecommendations({
+  userRatings,
+  userPreferredGenre = null,
+  movie_list = null,
+  watchlist = null,
+  watchlistMode = "exclude",
+  watchlistBoost = 1.5,
+  watched = null,
+  implicitFeedback = false,
+  implicitRating = 7,
+  preferredLanguages = null,
+  excludeLanguages = null,
+  yearFrom = null,
+  yearTo = null,
+  preferredDecades = null,
+  // No vote threshold of its own; the ensemble sets one for every model
+  minVoteCount = 0,
+  explain = false,
+  offset = 0,
+  limit = DEFAULT_PAGE_SIZE,
+  diversity = 0,
+}) {
+  // Unrated watched films count as positive feedback when requested
+  const ratings = withImplicitRatings(userRatings, watched, processedMovies, {
+    implicitFeedback,
+    implicitRating,
+  });
+
+  return recommendMovies(ratings, userPreferredGenre, movie_list, {
+    watchlist: resolveWatchlist({ watchlist, watchlistMode, watchlistBoost }),
+    watched: watched || [],
+    minVoteCount,
+    languagePreferences: resolveLanguagePreferences(ratings, {
+      preferredLanguages,
+      excludeLanguages,
+    }),
+    eraPreferences: resolveEraPreferences(ratings, {
+      yearFrom,
+      yearTo,
+      preferredDecades,
+    }),
+    explain,
+    page: { offset, limit },
+    diversity,
+  });
+}
+
+/**
+ * Whether the trained model has factors for the film, i.e. could recommend it
+ */
+function canRecommend(movie) {
+  const model = getCollaborativeModel();
+  return Boolean(model && model.items.has(movie.id));
+}
+
+/**
+ * Train the factors on a worker thread and track it as a job. The new model
+ * replaces the current one once training finishes.
+ * @param {Array} users - [{ username, userRatings }]
+ * @param {Object} options - { factors, iterations, lambda, minItemRatings, seed }
+ * @returns {Promise<string>} The job ID
+ */
+async function createTrainingJob(users, options) {
+  const jobId = `train_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+  const job = {
+    status: "pending",
+    summary: null,
+    error: null,
+    createdAt: new Date(),
+  };
+  await trainingJobs.create(jobId, job);
+
+  // Saves are chained so the final state can't be overwritten by onStart's
+  let saving = Promise.resolve();
+  const persist = () => {
+    saving = saving
+      .then(() => trainingJobs.save(jobId, job))
+      .catch((error) => {
+        console.error(`[Job ${jobId}] Failed to update job store:`, error);
+      });
+    return saving;
+  };
+
+  const onStart = () => {
+    job.status = "in-progress";
+    persist();
+  };
+
+  trainingPool
+    .run(
+      { model: "collaborative", options: { users, ...options } },
+      { onStart }
+    )
+    .then(replaceCollaborativeModel)
+    .then((model) => {
+      job.status = "completed";
+      job.summary = summarizeModel(model);
+      console.log(
+        `[Job ${jobId}] Trained the collaborative model on ${model.users} users and ${model.items.size} films.`
+      );
+    })
+    .catch((error) => {
+      job.status = "failed";
+      job.error = error.message;
+      console.error(`[Job ${jobId}] Error training the model:`, error);
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      job.expiresAt = new Date(Date.now() + TRAINING_JOB_TTL_MS);
+      persist();
+    });
+
+  return jobId;
+}
+
+const userRatingsSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["genre_ids", "user_rating", "id"],
+    properties: {
+      genre_ids: { type: "array", items: { type: "number" } },
+      user_rating: { type: "number" },
+      id: { type: "number" },
+    },
+  },
+};
+
+// Define validation schema for the API
+const model5Schema = {
+  body: {
+    type: "object",
+    properties: {
+      userRatings: userRatingsSchema,
+      userPreferredGenre: {
+        type: ["array", "null"],
+        items: { type: "number" },
+        default: null,
+      },
+      ...watchlistSchemaProperties,
+      ...watchedSchemaProperties,
+      ...languageSchemaProperties,
+      ...eraSchemaProperties,
+      ...diversitySchemaProperties,
+      ...paginationSchemaProperties,
+      movie_list: { type: "string" },
+      // Return a job id right away and poll GET /?jobId= for the results
+      async: { type: "boolean", default: false },
+      // Add a per-film breakdown of the score
+      explain: { type: "boolean", default: false },
+    },
+  },
+  response: {
+    200: recommendationPageResponseSchema,
+    202: jobStartedSchema,
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+    500: {
+      type: "object",
+      properties: {
+        error: { type: "string" },
+      },
+    },
+    503: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+const modelSummarySchema = {
+  type: "object",
+  properties: {
+    users: { type: "number" },
+    items: { type: "number" },
+    ratings: { type: "number" },
+    mean: { type: "number" },
+    factors: { type: "number" },
+    iterations: { type: "number" },
+    lambda: { type: "number" },
+    minItemRatings: { type: "number" },
+    rmse: { type: ["number", "null"] },
+    trainedAt: { type: "string" },
+  },
+};
+
+const trainSchema = {
+  body: {
+    type: "object",
+    properties: {
+      // Train on the stored scrapes of every user
+      includeStored: { type: "boolean", default: true },
+      // Extra users to train on, e.g. ratings kept outside this server
+      users: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["userRatings"],
+          properties: {
+            username: { type: "string" },
+            userRatings: userRatingsSchema,
+          },
+        },
+        default: [],
+      },
+      factors: { type: "integer", minimum: 1, maximum: 100, default: 16 },
+      iterations: { type: "integer", minimum: 1, maximum: 100, default: 15 },
+      lambda: { type: "number", exclusiveMinimum: 0, default: 0.1 },
+      // Films rated by fewer users are left out of the model
+      minItemRatings: { type: "integer", minimum: 1, default: 2 },
+      seed: { type: "integer", default: 42 },
+    },
+  },
+  response: {
+    202: jobStartedSchema,
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+    500: {
+      type: "object",
+      properties: {
+        error: { type: "string" },
+      },
+    },
+    503: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+const trainingJobSchema = {
+  type: "object",
+  properties: {
+    status: {
+      type: "string",
+      enum: ["pending", "in-progress", "completed", "failed"],
+    },
+    // The trained model, once the job completed
+    summary: { ...modelSummarySchema, type: ["object", "null"] },
+    error: { type: ["string", "null"] },
+  },
+};
+
+const trainStatusSchema = {
+  querystring: {
+    type: "object",
+    required: ["jobId"],
+    properties: {
+      jobId: { type: "string", minLength: 1 },
+    },
+  },
+  response: {
+    200: trainingJobSchema,
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  try {
+    await loadModelData();
+  } catch (error) {
+    fastify.log.error(`Error loading movie data: ${error.message}`);
+    throw new Error("Failed to load movie data");
+  }
+
+  // Endpoint to get movie recommendations
+  fastify.post("/", { schema: model5Schema }, async (request, reply) => {
+    try {
+      const { userRatings, cursor, offset, limit, legacyArray } = request.body;
+
+      // Later pages come from the stored ranking, without recomputing it
+      if (cursor) {
+        const page = await getResultPage("model5", cursor, limit);
+        if (!page) {
+          return reply.code(400).send({ message: "Invalid or expired cursor" });
+        }
+        return legacyArray ? page.results : page;
+      }
+
+      if (!userRatings || userRatings.length === 0) {
+        return reply.code(400).send({ message: "No user data" });
+      }
+
+      // Refuse up front instead of starting a job that fails right away
+      checkCollaborativeModel();
+
+      if (request.body.async) {
+        // No training here, so the job never reports epoch progress
+        const jobId = await createRecommendationJob("model5", ({ onStart }) => {
+          onStart();
+          return generateRecommendations(request.body).then((results) =>
+            createResultPage("model5", results, { offset, limit })
+          );
+        });
+        return reply.code(202).send({
+          jobId,
+          status: "pending",
+          message: "Scoring started",
+        });
+      }
+
+      const page = await createResultPage(
+        "model5",
+        await generateRecommendations(request.body),
+        { offset, limit }
+      );
+      return legacyArray ? page.results : page;
+    } catch (error) {
+      // Nothing to fold the user into before the first training
+      if (error.code === "NOT_TRAINED") {
+        return reply.code(503).send({ message: error.message });
+      }
+
+      request.log.error(
+        `Error generating Model5 recommendations: ${error.message}`
+      );
+      return reply
+        .code(500)
+        .send({ error: "Failed to generate Model5 recommendations" });
+    }
+  });
+
+  // Endpoint to check an async recommendation job
+  fastify.get("/", { schema: jobStatusSchema }, async (request, reply) => {
+    const job = await getRecommendationJob("model5", request.query.jobId);
+
+    if (!job) {
+      return reply.code(400).send({
+        message: "Invalid job ID",
+      });
+    }
+
+    return {
+      model: job.model,
+      status: job.status,
+      progress: job.progress,
+      recommendations:
+        job.status === "completed" ? job.recommendations : undefined,
+      total: job.total,
+      nextCursor: job.nextCursor,
+      error: job.error,
+    };
+  });
+
+  // Endpoint streaming an async job as Server-Sent Events: "status" and
+  // "epoch" events, then "completed" or "failed"
+  fastify.get(
+    "/events",
+    { schema: jobEventsSchema },
+    async (request, reply) => {
+      const { jobId } = request.query;
+      return streamJobEvents(request, reply, jobId, () =>
+        getRecommendationJobEvents("model5", jobId)
+      );
+    }
+  );
+
+  fastify.addHook("onClose", async () => {
+    await trainingJobs.close();
+  });
+
+  // Endpoint to retrain the factors over every stored user, on a worker
+  // thread. Users who are not part of the training are folded in when they
+  // ask for recommendations.
+  fastify.post("/train", { schema: trainSchema }, async (request, reply) => {
+    const { includeStored, users, ...options } = request.body;
+
+    try {
+      const trainingUsers = [
+        ...(includeStored ? await getStoredUserRatings() : []),
+        ...users,
+      ].filter(({ userRatings }) => userRatings && userRatings.length > 0);
+
+      if (trainingUsers.length === 0) {
+        return reply
+          .code(400)
+          .send({ message: "No stored ratings to train on" });
+      }
+
+      // Refuse up front instead of starting a job that fails right away
+      trainingPool.checkCapacity();
+
+      const jobId = await createTrainingJob(trainingUsers, options);
+      return reply.code(202).send({
+        jobId,
+        status: "pending",
+        message: "Training started",
+      });
+    } catch (error) {
+      // Every worker is busy and the queue is full
+      if (error.code === "QUEUE_FULL") {
+        return reply
+          .code(503)
+          .header("Retry-After", error.retryAfter)
+          .send({ message: error.message });
+      }
+
+      request.log.error(
+        `Error training the collaborative model: ${error.message}`
+      );
+      return reply
+        .code(500)
+        .send({ error: "Failed to train the collaborative model" });
+    }
+  });
+
+  // Endpoint to check a training job
+  fastify.get(
+    "/train/status",
+    { schema: trainStatusSchema },
+    async (request, reply) => {
+      const job = await trainingJobs.get(request.query.jobId);
+
+      if (!job) {
+        return reply.code(400).send({
+          message: "Invalid job ID",
+        });
+      }
+
+      return {
+        status: job.status,
+        summary: job.summary,
+        error: job.error,
+      };
+    }
+  );
+
+  // Endpoint describing the current collaborative model
+  fastify.get(
+    "/train",
+    {
+      schema: {
+        response: {
+          200: modelSummarySchema,
+          404: {
+            type: "object",
+            properties: {
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    async (request, reply) => {
+      const model = getCollaborativeModel();
+      if (!model) {
+        return reply.code(404).send({
+          message: "The collaborative model has not been trained yet",
+        });
+      }
+      return summarizeModel(model);
+    }
+  );
+};
+
+module.exports.generateRecommendations = generateRecommendations;
+module.exports.bodySchema = model5Schema.body;
+module.exports.loadModelData = loadModelData;
+module.exports.canRecommend = canRecommend;
@@ -0,0 +1,83 @@
+// routes/api/models.js - Manage the trained models saved per user
+const {
+  MODEL_KEY_PATTERN,
+  ratingsKey,
+  invalidateSavedModels,
+} = require("./model-store");
+
+const invalidateResponse = {
+  200: {
+    type: "object",
+    properties: {
+      key: { type: "string" },
+      removed: { type: "number" },
+    },
+  },
+  400: {
+    type: "object",
+    properties: {
+      message: { type: "string" },
+    },
+  },
+};
+
+// By the key returned in the x-model-key header of the model routes
+const invalidateByKeySchema = {
+  params: {
+    type: "object",
+    required: ["key"],
+    properties: {
+      key: { type: "string" },
+    },
+  },
+  response: invalidateResponse,
+};
+
+// By the same userRatings the model was trained on
+const invalidateByRatingsSchema = {
+  body: {
+    type: "object",
+    required: ["userRatings"],
+    properties: {
+      userRatings: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["genre_ids", "user_rating", "id"],
+          properties: {
+            genre_ids: { type: "array", items: { type: "number" } },
+            user_rating: { type: "number" },
+            id: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  response: invalidateResponse,
+};
+
+module.exports = async function (fastify, opts) {
+  // Endpoint to drop a user's saved models, so the next request retrains
+  fastify.delete(
+    "/:key",
+    { schema: invalidateByKeySchema },
+    async (request, reply) => {
+      const { key } = request.params;
+
+      if (!MODEL_KEY_PATTERN.test(key)) {
+        return reply.code(400).send({ message: "Invalid model key" });
+      }
+
+      return { key, removed: await invalidateSavedModels(key) };
+    }
+  );
+
+  fastify.delete(
+    "/",
+    { schema: invalidateByRatingsSchema },
+    async (request, reply) => {
+      const key = ratingsKey(request.body.userRatings);
+      return { key, removed: await invalidateSavedModels(key) };
+    }
+  );
+};
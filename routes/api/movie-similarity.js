@@ -0,0 +1,55 @@
+// routes/api/movie-similarity.js - How alike two catalog films are by genre and era
+const { genreVector } = require("./genres");
+
+// Release years this far apart are about a third as similar
+const ERA_SCALE_YEARS = 10;
+
+/**
+ * Cosine similarity of two dense vectors
+ */
+function denseCosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Genre vectors per film object; reranking compares the same films many times
+const genreVectors = new WeakMap();
+
+function cachedGenreVector(movie) {
+  let vector = genreVectors.get(movie);
+  if (!vector) {
+    vector = genreVector(movie.genre_ids);
+    genreVectors.set(movie, vector);
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of the genre one-hot vectors of two films
+ */
+function genreSimilarity(a, b) {
+  return denseCosine(cachedGenreVector(a), cachedGenreVector(b));
+}
+
+/**
+ * 1 for the same release year, decaying with the distance between years
+ */
+function eraSimilarity(a, b) {
+  const yearA = parseInt(a.release_year);
+  const yearB = parseInt(b.release_year);
+  if (isNaN(yearA) || isNaN(yearB)) return 0.5; // Unknown, neither close nor far
+
+  return Math.exp(-Math.abs(yearA - yearB) / ERA_SCALE_YEARS);
+}
+
+module.exports = {
+  genreSimilarity,
+  eraSimilarity,
+};
@@ -0,0 +1,44 @@
+// routes/api/movie-text.js - TF-IDF index over the text of every catalog movie
+const { loadCatalogs, getAllMovies } = require("./catalog-registry");
+const { buildTfidfIndex } = require("./tfidf");
+
+let index = null;
+
+function movieText(movie) {
+  return `${movie.title || ""} ${movie.overview || ""}`;
+}
+
+/**
+ * Load the catalogs and index the title and overview of every movie.
+ * Safe to call repeatedly; the index is only built the first time.
+ */
+async function loadTextIndex() {
+  await loadCatalogs();
+
+  if (!index) {
+    index = buildTfidfIndex(
+      getAllMovies().map((movie) => ({ id: movie.id, text: movieText(movie) }))
+    );
+  }
+  return index;
+}
+
+/**
+ * TF-IDF vector of a movie; custom list pools may hold movies outside the index
+ */
+function movieVector(movie) {
+  return index.vectors.get(movie.id) || index.vectorize(movieText(movie));
+}
+
+/**
+ * Vector of an indexed movie by TMDB id, or null
+ */
+function indexedMovieVector(id) {
+  return index.vectors.get(id) || null;
+}
+
+module.exports = {
+  loadTextIndex,
+  movieVector,
+  indexedMovieVector,
+};
@@ -0,0 +1,143 @@
+// routes/api/movies.js - Lookups around a single catalog film
+const {
+  loadCatalogs,
+  getCatalog,
+  getDefaultCatalog,
+  getMovieById,
+} = require("./catalog-registry");
+const { genreSimilarity, eraSimilarity } = require("./movie-similarity");
+const { loadTextIndex, movieVector } = require("./movie-text");
+const { cosineSimilarity } = require("./tfidf");
+const { recommendationSchema } = require("./letterboxd-schema");
+
+// How much each part counts towards the overall similarity
+const SIMILARITY_WEIGHTS = { genre: 0.4, era: 0.2, text: 0.4 };
+
+/**
+ * Catalog films closest to the given film by genres, release era and text
+ * @param {Object} movie - The film to compare against
+ * @param {Object} options - { movie_list, minVoteCount, limit }
+ * @returns {Array} Films with score and the parts it is made of (each 0-1)
+ */
+function findSimilarMovies(
+  movie,
+  { movie_list, minVoteCount = 0, limit = 20 }
+) {
+  // Catalog or custom list pool, falling back to the full catalog
+  const candidates = getCatalog(movie_list) || getDefaultCatalog();
+
+  const text = movieVector(movie);
+
+  const scored = candidates
+    .filter(
+      (candidate) =>
+        candidate.id !== movie.id && (candidate.vote_count || 0) >= minVoteCount
+    )
+    .map((candidate) => ({
+      candidate,
+      textSimilarity: cosineSimilarity(text, movieVector(candidate)),
+    }));
+
+  // Overviews share few words, so text scores are relative to the best match
+  const maxTextSimilarity = Math.max(
+    ...scored.map((entry) => entry.textSimilarity),
+    0
+  );
+
+  return scored
+    .map(({ candidate, textSimilarity }) => {
+      const similarity = {
+        genre: genreSimilarity(movie, candidate),
+        era: eraSimilarity(movie, candidate),
+        text: maxTextSimilarity ? textSimilarity / maxTextSimilarity : 0,
+      };
+
+      return {
+        ...candidate,
+        score: Object.keys(SIMILARITY_WEIGHTS).reduce(
+          (score, part) => score + similarity[part] * SIMILARITY_WEIGHTS[part],
+          0
+        ),
+        similarity,
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+const similarMoviesSchema = {
+  params: {
+    type: "object",
+    required: ["id"],
+    properties: {
+      id: { type: "integer" },
+    },
+  },
+  querystring: {
+    type: "object",
+    properties: {
+      movie_list: { type: "string" },
+      minVoteCount: { type: "number", minimum: 0, default: 0 },
+      limit: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+    },
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        movie: recommendationSchema,
+        similar: {
+          type: "array",
+          items: {
+            ...recommendationSchema,
+            properties: {
+              ...recommendationSchema.properties,
+              similarity: {
+                type: "object",
+                properties: {
+                  genre: { type: "number" },
+                  era: { type: "number" },
+                  text: { type: "number" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    404: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  try {
+    await loadCatalogs();
+    await loadTextIndex();
+  } catch (error) {
+    fastify.log.error(`Error loading movie data: ${error.message}`);
+    throw new Error("Failed to load movie data");
+  }
+
+  // Endpoint to find films similar to one catalog film
+  fastify.get(
+    "/:id/similar",
+    { schema: similarMoviesSchema },
+    async (request, reply) => {
+      const movie = getMovieById(request.params.id);
+
+      if (!movie) {
+        return reply.code(404).send({ message: "Movie not in the catalog" });
+      }
+
+      return {
+        movie,
+        similar: findSimilarMovies(movie, request.query),
+      };
+    }
+  );
+};
@@ -0,0 +1,194 @@
+// routes/api/recommendation-jobs.js - Background model runs polled like scraping jobs
+const crypto = require("crypto");
+const { createJobStore } = require("./job-store");
+const { recommendationSchema } = require("./letterboxd-schema");
+const { publishJobEvent } = require("./job-events");
+
+const recommendationJobs = createJobStore("recommendationJobs");
+
+const JOB_TTL_MS = parseInt(process.env.RECOMMENDATION_JOB_TTL_MS) || 3600000;
+
+/**
+ * Run a model in the background and track it as a job
+ * @param {string} model - Model route name, e.g. "model1"
+ * @param {Function} run - Called with onStart and onProgress callbacks, resolves to
+ *   the first page of recommendations (see result-cache)
+ * @returns {Promise<string>} The job ID
+ */
+async function createRecommendationJob(model, run) {
+  const jobId = `job_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+  const job = {
+    model,
+    status: "pending",
+    progress: null,
+    recommendations: null,
+    total: null,
+    nextCursor: null,
+    error: null,
+    createdAt: new Date(),
+  };
+  await recommendationJobs.create(jobId, job);
+
+  // Progress arrives once per epoch; saves are chained so they land in order
+  let saving = Promise.resolve();
+  const persist = () => {
+    saving = saving
+      .then(() => recommendationJobs.save(jobId, job))
+      .catch((error) => {
+        console.error(`[Job ${jobId}] Failed to update job store:`, error);
+      });
+    return saving;
+  };
+
+  const onStart = () => {
+    job.status = "in-progress";
+    persist();
+    publishJobEvent(jobId, "status", { status: job.status });
+  };
+
+  const onProgress = (progress) => {
+    job.status = "in-progress";
+    // Losses are NaN/Infinity when the validation split is empty
+    job.progress = Object.fromEntries(
+      Object.entries(progress).map(([key, value]) => [
+        key,
+        Number.isFinite(value) ? value : null,
+      ])
+    );
+    persist();
+    publishJobEvent(jobId, "epoch", job.progress);
+  };
+
+  run({ onStart, onProgress })
+    .then((page) => {
+      job.status = "completed";
+      job.recommendations = page.results;
+      job.total = page.total;
+      job.nextCursor = page.nextCursor;
+      console.log(
+        `[Job ${jobId}] Generated ${page.total} ${model} recommendations.`
+      );
+    })
+    .catch((error) => {
+      job.status = "failed";
+      job.error = error.message;
+      console.error(`[Job ${jobId}] Error generating recommendations:`, error);
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      job.expiresAt = new Date(Date.now() + JOB_TTL_MS); // Clean up job after the TTL
+      // Announce the end only once GET / returns the results
+      persist().then(() =>
+        publishJobEvent(jobId, job.status, finalEventData(job))
+      );
+    });
+
+  return jobId;
+}
+
+/**
+ * Payload of the completed / failed event; the results are read from GET /
+ */
+function finalEventData(job) {
+  return {
+    status: job.status,
+    recommendations: job.recommendations ? job.recommendations.length : 0,
+    error: job.error,
+  };
+}
+
+/**
+ * Status of a job started by the given model, or null if there is none
+ */
+async function getRecommendationJob(model, jobId) {
+  const job = await recommendationJobs.get(jobId);
+  return job && job.model === model ? job : null;
+}
+
+/**
+ * Events describing a job so far, for streamJobEvents
+ */
+async function getRecommendationJobEvents(model, jobId) {
+  const job = await getRecommendationJob(model, jobId);
+  if (!job) return null;
+
+  const events = [{ event: "status", data: { status: job.status } }];
+  if (job.progress) {
+    events.push({ event: "epoch", data: job.progress });
+  }
+  if (job.status === "completed" || job.status === "failed") {
+    events.push({ event: job.status, data: finalEventData(job) });
+  }
+  return events;
+}
+
+function closeRecommendationJobs() {
+  return recommendationJobs.close();
+}
+
+// Returned by the model routes when the body has async: true
+const jobStartedSchema = {
+  type: "object",
+  properties: {
+    jobId: { type: "string" },
+    status: { type: "string" },
+    message: { type: "string" },
+  },
+};
+
+const jobStatusSchema = {
+  querystring: {
+    type: "object",
+    required: ["jobId"],
+    properties: {
+      jobId: { type: "string", minLength: 1 },
+    },
+  },
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        model: { type: "string" },
+        status: {
+          type: "string",
+          enum: ["pending", "in-progress", "completed", "failed"],
+        },
+        // Latest training epoch; stays null for models that don't train
+        // and when a saved model is reused
+        progress: {
+          type: ["object", "null"],
+          properties: {
+            epoch: { type: "number" },
+            maxEpochs: { type: "number" },
+            loss: { type: ["number", "null"] },
+            valLoss: { type: ["number", "null"] },
+            bestValLoss: { type: ["number", "null"] },
+          },
+        },
+        recommendations: {
+          type: ["array", "null"],
+          items: recommendationSchema,
+        },
+        // Size of the whole ranking; POST nextCursor to the model for more
+        total: { type: ["number", "null"] },
+        nextCursor: { type: ["string", "null"] },
+        error: { type: ["string", "null"] },
+      },
+    },
+    400: {
+      type: "object",
+      properties: {
+        message: { type: "string" },
+      },
+    },
+  },
+};
+
+module.exports = {
+  createRecommendationJob,
+  getRecommendationJob,
+  getRecommendationJobEvents,
+  closeRecommendationJobs,
+  jobStartedSchema,
+  jobStatusSchema,
+};
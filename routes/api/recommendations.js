@@ -0,0 +1,78 @@
+// routes/api/recommendations.js - One-shot recommendations for a Letterboxd user
+const { createScrapingJob } = require("./letterboxd");
+const { recommendByUsernameSchema } = require("./letterboxd-schema");
+const model1 = require("./model1");
+const model2 = require("./model2");
+const model3 = require("./model3");
+const model4 = require("./model4");
+const model5 = require("./model5");
+const { ratingsKey } = require("./model-store");
+const { publishJobEvent } = require("./job-events");
+const { createResultPage } = require("./result-cache");
+
+const models = { model1, model2, model3, model4, model5 };
+
+module.exports = async function (fastify, opts) {
+  // Scrape the user, map the films to userRatings and run the chosen model.
+  // Progress and results are read through the usual GET /letterboxd?jobId=
+  fastify.post(
+    "/by-username",
+    { schema: recommendByUsernameSchema },
+    async (request, reply) => {
+      try {
+        const {
+          username,
+          model = "model1",
+          incremental = false,
+          minConfidence,
+          ...modelOptions
+        } = request.body;
+
+        const jobId = await createScrapingJob(username, {
+          incremental,
+          matchCatalog: true,
+          minConfidence,
+          afterScrape: async (job) => {
+            if (!job.userRatings || job.userRatings.length === 0) {
+              throw new Error(
+                "None of the user's rated films could be matched to the catalog"
+              );
+            }
+
+            job.model = model;
+            job.modelKey = ratingsKey(job.userRatings);
+            const recommendations = await models[model].generateRecommendations(
+              { ...modelOptions, userRatings: job.userRatings },
+              {
+                // Training epochs show up on the scrape job's event stream
+                onProgress: (progress) =>
+                  publishJobEvent(jobId, "epoch", progress),
+              }
+            );
+            // The whole ranking is stored; POST nextCursor to the model for more
+            const page = await createResultPage(model, recommendations);
+            job.recommendations = page.results;
+            job.total = page.total;
+            job.nextCursor = page.nextCursor;
+            console.log(
+              `[Job ${jobId}] Generated ${page.total} ${model} recommendations.`
+            );
+          },
+        });
+
+        return {
+          jobId,
+          status: "pending",
+          message: "Scraping started, recommendations will follow",
+        };
+      } catch (error) {
+        request.log.error(error);
+        return reply.code(500).send({
+          message: "Failed to initiate recommendations",
+          error: error.message,
+          status: "error",
+        });
+      }
+    }
+  );
+};
@@ -0,0 +1,177 @@
+// routes/api/result-cache.js - Ranked recommendation lists kept briefly for paging
+const crypto = require("crypto");
+const { createJobStore } = require("./job-store");
+const { getMovieById } = require("./catalog-registry");
+const { languageCode } = require("./languages");
+const { recommendationSchema } = require("./letterboxd-schema");
+
+// Ranked ids and scores per request id (in memory unless JOB_STORE=mongodb)
+const rankedResults = createJobStore("recommendationResults");
+
+const RESULT_TTL_MS = parseInt(process.env.RESULT_CACHE_TTL_MS) || 15 * 60000;
+
+// How many films a model ranks per request, i.e. the most that can be paged through
+const MAX_RANKED_RESULTS = 500;
+
+const DEFAULT_PAGE_SIZE = 35;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Opaque cursor pointing at a position in a stored ranking
+ */
+function encodeCursor(requestId, offset) {
+  return Buffer.from(JSON.stringify({ requestId, offset })).toString(
+    "base64url"
+  );
+}
+
+/**
+ * @returns {Object|null} { requestId, offset }, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { requestId, offset } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf-8")
+    );
+    if (typeof requestId !== "string" || !Number.isInteger(offset)) {
+      return null;
+    }
+    return { requestId, offset };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * What is kept of a recommendation: its id and score, plus the per-model
+ * scores of an ensemble. The film itself is read back from the catalogs.
+ */
+function toRankedEntry({ id, score, models }) {
+  return models ? { id, score, models } : { id, score };
+}
+
+/**
+ * Catalog records already have the formatted recommendation shape, except
+ * that list catalogs don't know the language
+ */
+function toRecommendation(entry) {
+  const movie = getMovieById(entry.id);
+  return { ...movie, language_code: languageCode(movie), ...entry };
+}
+
+function toPage(requestId, results, offset, limit) {
+  const start = Math.min(offset, results.length);
+  const end = start + limit;
+
+  return {
+    requestId,
+    total: results.length,
+    offset: start,
+    limit,
+    nextCursor: end < results.length ? encodeCursor(requestId, end) : null,
+    results: results.slice(start, end),
+  };
+}
+
+/**
+ * Store a model's full ranking and return the requested page of it
+ * @param {string} model - Model route name; cursors only work on the same route
+ * @param {Array} results - Formatted recommendations, best first; the page
+ *   is returned from these as they are, explanations included
+ * @param {Object} options - { offset, limit }
+ */
+async function createResultPage(
+  model,
+  results,
+  { offset = 0, limit = DEFAULT_PAGE_SIZE } = {}
+) {
+  const requestId = `req_${Date.now()}_${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+
+  await rankedResults.create(requestId, {
+    model,
+    results: results.map(toRankedEntry),
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + RESULT_TTL_MS),
+  });
+
+  return toPage(requestId, results, offset, limit);
+}
+
+/**
+ * Page of a stored ranking, or null if the cursor is invalid or expired.
+ * Its films come without explanations.
+ */
+async function getResultPage(model, cursor, limit = DEFAULT_PAGE_SIZE) {
+  const position = decodeCursor(cursor);
+  if (!position) return null;
+
+  const stored = await rankedResults.get(position.requestId);
+  if (!stored || stored.model !== model) return null;
+
+  const page = toPage(
+    position.requestId,
+    stored.results,
+    position.offset,
+    limit
+  );
+  return { ...page, results: page.results.map(toRecommendation) };
+}
+
+function closeResultCache() {
+  return rankedResults.close();
+}
+
+// Request schema properties shared by the model routes
+const paginationSchemaProperties = {
+  limit: {
+    type: "integer",
+    minimum: 1,
+    maximum: MAX_PAGE_SIZE,
+    default: DEFAULT_PAGE_SIZE,
+  },
+  offset: { type: "integer", minimum: 0, default: 0 },
+  // nextCursor of a previous page; the other fields are then ignored, so
+  // explanations are only given for the page a ranking is requested with
+  cursor: { type: "string" },
+  // Respond with the bare array of the page, as before pagination
+  legacyArray: { type: "boolean", default: false },
+};
+
+/**
+ * 200 response of a paged route: a page, or its bare results with legacyArray
+ * @param {Object} itemSchema - Schema of one result
+ */
+function pageResponseSchema(itemSchema) {
+  return {
+    anyOf: [
+      {
+        type: "object",
+        properties: {
+          requestId: { type: "string" },
+          total: { type: "number" },
+          offset: { type: "number" },
+          limit: { type: "number" },
+          nextCursor: { type: ["string", "null"] },
+          results: { type: "array", items: itemSchema },
+        },
+      },
+      { type: "array", items: itemSchema },
+    ],
+  };
+}
+
+const recommendationPageResponseSchema =
+  pageResponseSchema(recommendationSchema);
+
+module.exports = {
+  MAX_RANKED_RESULTS,
+  DEFAULT_PAGE_SIZE,
+  createResultPage,
+  getResultPage,
+  closeResultCache,
+  paginationSchemaProperties,
+  pageResponseSchema,
+  recommendationPageResponseSchema,
+};
@@ -0,0 +1,128 @@
+// routes/api/tfidf.js - TF-IDF vectors over movie titles and overviews
+
+// Common English words that say nothing about a film's content
+const STOP_WORDS = new Set(
+  (
+    "a about after again against all an and any are as at be because been " +
+    "before being between both but by can could did do does doing down " +
+    "during each few for from further had has have having he her here hers " +
+    "him his how i if in into is it its itself just me more most my no nor " +
+    "not now of off on once only or other our out over own same she should " +
+    "so some such than that the their them then there these they this " +
+    "those through to too under until up very was we were what when where " +
+    "which while who whom why will with would you your one two new life " +
+    "film movie story"
+  ).split(" ")
+);
+
+/**
+ * Lowercase words of a text, without accents, stop words and single letters
+ */
+function tokenize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Scale a sparse vector (Map term -> weight) to unit length, in place
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (const weight of vector.values()) norm += weight * weight;
+  norm = Math.sqrt(norm);
+
+  if (norm > 0) {
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+  }
+  return vector;
+}
+
+/**
+ * Build TF-IDF vectors for a set of documents
+ * @param {Array} documents - [{ id, text }]
+ * @returns {Object} { vectors: Map id -> unit vector, vectorize(text) }
+ */
+function buildTfidfIndex(documents) {
+  const tokenized = documents.map(({ id, text }) => ({
+    id,
+    tokens: tokenize(text),
+  }));
+
+  // Document frequency of every term
+  const documentFrequency = new Map();
+  for (const { tokens } of tokenized) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  // Smoothed idf, so terms found in every document still count a little
+  const idf = new Map();
+  for (const [term, count] of documentFrequency) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1);
+  }
+
+  const toVector = (tokens) => {
+    const counts = new Map();
+    for (const term of tokens) {
+      if (idf.has(term)) counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    const vector = new Map();
+    for (const [term, count] of counts) {
+      // Sublinear tf keeps repeated words from dominating
+      vector.set(term, (1 + Math.log(count)) * idf.get(term));
+    }
+    return normalize(vector);
+  };
+
+  const vectors = new Map();
+  for (const { id, tokens } of tokenized) {
+    vectors.set(id, toVector(tokens));
+  }
+
+  return {
+    vectors,
+    // Vector of a text outside the index, using the index's vocabulary
+    vectorize: (text) => toVector(tokenize(text)),
+  };
+}
+
+/**
+ * Weighted average of sparse vectors, scaled to unit length
+ * @param {Array} entries - [{ vector, weight }]
+ */
+function centroid(entries) {
+  const sum = new Map();
+  for (const { vector, weight } of entries) {
+    for (const [term, value] of vector) {
+      sum.set(term, (sum.get(term) || 0) + value * weight);
+    }
+  }
+  return normalize(sum);
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ */
+function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+
+  let dot = 0;
+  for (const [term, value] of small) {
+    const other = large.get(term);
+    if (other) dot += value * other;
+  }
+  return dot;
+}
+
+module.exports = {
+  tokenize,
+  buildTfidfIndex,
+  centroid,
+  cosineSimilarity,
+};
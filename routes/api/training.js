@@ -0,0 +1,29 @@
+// routes/api/training.js - Load of the model training worker pool
+const { trainingPool } = require("./worker-pool");
+
+const trainingStatusSchema = {
+  response: {
+    200: {
+      type: "object",
+      properties: {
+        size: { type: "number" },
+        workers: { type: "number" },
+        busy: { type: "number" },
+        queued: { type: "number" },
+        maxQueue: { type: "number" },
+        averageTaskMs: { type: "number" },
+      },
+    },
+  },
+};
+
+module.exports = async function (fastify, opts) {
+  fastify.addHook("onClose", async () => {
+    await trainingPool.close();
+  });
+
+  // Endpoint to check how busy the training workers are
+  fastify.get("/status", { schema: trainingStatusSchema }, async () => {
+    return trainingPool.stats();
+  });
+};
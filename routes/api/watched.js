@@ -0,0 +1,55 @@
+// routes/api/watched.js - Shared handling of watched (possibly unrated) films
+
+/**
+ * Add unrated watched films to the user's ratings as implicit positive feedback
+ * @param {Array} userRatings - Explicit ratings from the request
+ * @param {Array} watched - TMDB ids of every film the user has watched
+ * @param {Array} catalog - Movies used to look up genres of unrated films
+ * @param {Object} options - { implicitFeedback, implicitRating }
+ * @returns {Array} userRatings, extended when implicitFeedback is enabled
+ */
+function withImplicitRatings(
+  userRatings,
+  watched,
+  catalog,
+  { implicitFeedback = false, implicitRating = 7 } = {}
+) {
+  if (!implicitFeedback || !watched || watched.length === 0) {
+    return userRatings;
+  }
+
+  const ratedIds = new Set(userRatings.map((rating) => rating.id));
+  const catalogById = new Map(catalog.map((movie) => [movie.id, movie]));
+  const implicitRatings = [];
+
+  for (const id of new Set(watched)) {
+    const movie = catalogById.get(id);
+    if (ratedIds.has(id) || !movie) continue;
+
+    implicitRatings.push({
+      id,
+      genre_ids: movie.genre_ids.filter(Boolean),
+      user_rating: implicitRating,
+    });
+  }
+
+  return [...userRatings, ...implicitRatings];
+}
+
+// Request schema properties shared by the model routes
+const watchedSchemaProperties = {
+  // Every watched film, rated or not; all of them are excluded from results
+  watched: {
+    type: ["array", "null"],
+    items: { type: "number" },
+    default: null,
+  },
+  implicitFeedback: { type: "boolean", default: false },
+  // Rating (1-10 scale) assumed for watched films without a star rating
+  implicitRating: { type: "number", minimum: 0, maximum: 10, default: 7 },
+};
+
+module.exports = {
+  withImplicitRatings,
+  watchedSchemaProperties,
+};
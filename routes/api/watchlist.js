@@ -0,0 +1,66 @@
+// routes/api/watchlist.js - Shared watchlist handling for the model routes
+
+/**
+ * Normalize the watchlist options of a model request
+ * @param {Object} options - { watchlist, watchlistMode, watchlistBoost }
+ * @returns {Object|null} { ids, mode, boost } or null when no watchlist was sent
+ */
+function resolveWatchlist({
+  watchlist = null,
+  watchlistMode = "exclude",
+  watchlistBoost = 1.5,
+} = {}) {
+  if (!watchlist || watchlist.length === 0) return null;
+
+  return {
+    ids: new Set(watchlist),
+    mode: watchlistMode,
+    boost: watchlistBoost,
+  };
+}
+
+/**
+ * Whether a candidate should be dropped because the user already plans to watch it
+ */
+function isExcludedByWatchlist(movie, watchlist) {
+  return Boolean(
+    watchlist && watchlist.mode === "exclude" && watchlist.ids.has(movie.id)
+  );
+}
+
+/**
+ * Raise the score of watchlisted candidates. Scores can be negative for the
+ * neural models, so the boost is relative to the score's magnitude.
+ */
+function applyWatchlistBoost(score, movie, watchlist) {
+  if (
+    !watchlist ||
+    watchlist.mode !== "boost" ||
+    !watchlist.ids.has(movie.id)
+  ) {
+    return score;
+  }
+  return score + Math.abs(score) * (watchlist.boost - 1);
+}
+
+// Request schema properties shared by the model routes
+const watchlistSchemaProperties = {
+  watchlist: {
+    type: ["array", "null"],
+    items: { type: "number" },
+    default: null,
+  },
+  watchlistMode: {
+    type: "string",
+    enum: ["exclude", "boost"],
+    default: "exclude",
+  },
+  watchlistBoost: { type: "number", minimum: 1, default: 1.5 },
+};
+
+module.exports = {
+  resolveWatchlist,
+  isExcludedByWatchlist,
+  applyWatchlistBoost,
+  watchlistSchemaProperties,
+};
@@ -0,0 +1,160 @@
+// routes/api/worker-pool.js - Run model training on worker threads with a bounded queue
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/**
+ * Create a pool of at most size workers running file. Tasks wait in a queue
+ * of at most maxQueue entries while every worker is busy.
+ * @param {string} file - Worker entry; answers { id, payload } with { id, result | error },
+ *   optionally preceded by { id, progress } messages
+ * @param {Object} options - { size, maxQueue }
+ */
+function createWorkerPool(file, { size, maxQueue }) {
+  const workers = new Set();
+  const queue = [];
+  let nextTaskId = 0;
+  let averageTaskMs = 0;
+  let closed = false;
+
+  const finish = (worker, error, result) => {
+    const { task } = worker;
+    worker.task = null;
+    if (!task) return;
+
+    const duration = Date.now() - task.startedAt;
+    averageTaskMs = averageTaskMs
+      ? averageTaskMs * 0.8 + duration * 0.2
+      : duration;
+
+    if (error) task.reject(error);
+    else task.resolve(result);
+  };
+
+  const spawn = () => {
+    const worker = new Worker(file);
+    worker.task = null;
+    // Idle workers must not keep the process alive
+    worker.unref();
+
+    worker.on("message", ({ id, result, error, progress }) => {
+      if (!worker.task || worker.task.id !== id) return;
+
+      if (progress !== undefined) {
+        if (worker.task.onProgress) worker.task.onProgress(progress);
+        return;
+      }
+
+      finish(worker, error ? new Error(error) : null, result);
+      dispatch();
+    });
+    worker.on("error", (error) => finish(worker, error));
+    worker.on("exit", () => {
+      workers.delete(worker);
+      finish(worker, new Error("Worker stopped unexpectedly"));
+      dispatch();
+    });
+
+    workers.add(worker);
+    return worker;
+  };
+
+  const dispatch = () => {
+    while (!closed && queue.length > 0) {
+      let worker = [...workers].find((w) => !w.task);
+      if (!worker && workers.size < size) worker = spawn();
+      if (!worker) return;
+
+      const task = queue.shift();
+      task.startedAt = Date.now();
+      worker.task = task;
+      if (task.onStart) task.onStart();
+      worker.postMessage({ id: task.id, payload: task.payload });
+    }
+  };
+
+  return {
+    /**
+     * Throw a QUEUE_FULL error (with retryAfter in seconds) if the given
+     * number of tasks can't all be queued right now
+     */
+    checkCapacity(tasks = 1) {
+      if (queue.length + tasks <= maxQueue) return;
+
+      const error = new Error("Training queue is full, try again later");
+      error.code = "QUEUE_FULL";
+      // Seconds until a slot is likely free, based on recent tasks
+      error.retryAfter = Math.max(
+        1,
+        Math.ceil((averageTaskMs * (queue.length / size + 1)) / 1000)
+      );
+      throw error;
+    },
+
+    /**
+     * Queue a task for the next free worker
+     * @param {*} payload - Structured-cloneable task input
+     * @param {Object} callbacks - Optional { onStart, onProgress }
+     * @returns {Promise} The worker's result
+     */
+    run(payload, { onStart = null, onProgress = null } = {}) {
+      if (closed) {
+        return Promise.reject(new Error("Worker pool is closed"));
+      }
+
+      try {
+        this.checkCapacity();
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({
+          id: ++nextTaskId,
+          payload,
+          onStart,
+          onProgress,
+          resolve,
+          reject,
+        });
+        dispatch();
+      });
+    },
+
+    /**
+     * Current load of the pool, for the status endpoint
+     */
+    stats() {
+      const busy = [...workers].filter((w) => w.task).length;
+      return {
+        size,
+        workers: workers.size,
+        busy,
+        queued: queue.length,
+        maxQueue,
+        averageTaskMs: Math.round(averageTaskMs),
+      };
+    },
+
+    /**
+     * Stop every worker and reject the tasks still waiting
+     */
+    async close() {
+      closed = true;
+      for (const task of queue.splice(0)) {
+        task.reject(new Error("Worker pool is closed"));
+      }
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+    },
+  };
+}
+
+// Shared by model1 and model2; each worker trains one model at a time
+const trainingPool = createWorkerPool(path.join(__dirname, "model-worker.js"), {
+  size: parseInt(process.env.MAX_CONCURRENT_TRAININGS) || 2,
+  maxQueue: parseInt(process.env.MAX_TRAINING_QUEUE) || 20,
+});
+
+module.exports = {
+  createWorkerPool,
+  trainingPool,
+};
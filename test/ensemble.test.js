@@ -0,0 +1,70 @@
+const Fastify = require("fastify");
+const model3 = require("../routes/api/model3");
+const model4 = require("../routes/api/model4");
+const ensemble = require("../routes/api/ensemble");
+const catalog = require("../public/processed_movies3.json");
+
+const userRatings = catalog.slice(0, 20).map((movie, index) => ({
+  id: movie.id,
+  genre_ids: movie.genre_ids.filter(Boolean),
+  user_rating: ((index * 3) % 10) + 1,
+}));
+
+let app;
+
+beforeAll(async () => {
+  app = Fastify();
+  // The ensemble relies on the model routes to load their data
+  app.register(model3, { prefix: "/model3" });
+  app.register(model4, { prefix: "/model4" });
+  app.register(ensemble, { prefix: "/ensemble" });
+  await app.ready();
+});
+
+afterAll(() => app.close());
+
+function blend(payload) {
+  return app.inject({
+    method: "POST",
+    url: "/ensemble",
+    payload: { userRatings, weights: { model3: 1, model4: 1 }, ...payload },
+  });
+}
+
+describe("ensemble candidates", () => {
+  test("apply one vote threshold to every model", async () => {
+    const response = await blend({ minVoteCount: 30, limit: 100 });
+
+    expect(response.statusCode).toBe(200);
+    expect(
+      response.json().results.every((movie) => movie.vote_count >= 30)
+    ).toBe(true);
+  });
+
+  test("count films below a model's list as its worst, not as unscorable", async () => {
+    const response = await blend({ limit: 100 });
+
+    for (const movie of response.json().results) {
+      expect(movie.models.model3.normalizedScore).toEqual(expect.any(Number));
+      expect(movie.models.model4.normalizedScore).toEqual(expect.any(Number));
+    }
+  });
+});
+
+describe("ensemble modelOptions", () => {
+  test("are checked against the model's own schema", async () => {
+    const response = await blend({
+      modelOptions: { model3: { genreWeight: "heavy" } },
+    });
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  test("accept the model's own options", async () => {
+    const response = await blend({
+      modelOptions: { model3: { genreWeight: 2, eraWeight: 0 } },
+    });
+
+    expect(response.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the models trained here out of data/models
+const modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), "models-"));
+process.env.MODELS_DIR = modelsDir;
+
+const Fastify = require("fastify");
+const evaluation = require("../routes/api/evaluation");
+const {
+  evaluateModels,
+  splitRatings,
+  accuracyMetrics,
+} = require("../routes/api/evaluation");
+const { trainingPool } = require("../routes/api/worker-pool");
+const catalog = require("../public/processed_movies3.json");
+
+jest.setTimeout(300000);
+
+// Fixed ratings over the bundled catalog, most recent first
+const userRatings = catalog.slice(0, 40).map((movie, index) => ({
+  id: movie.id,
+  genre_ids: movie.genre_ids.filter(Boolean),
+  user_rating: ((index * 7) % 10) + 1,
+}));
+
+afterAll(async () => {
+  await trainingPool.close();
+  fs.rmSync(modelsDir, { recursive: true, force: true });
+});
+
+describe("splitRatings", () => {
+  test("temporal holds out the most recent ratings", () => {
+    const [{ train, test }] = splitRatings(userRatings, {
+      split: "temporal",
+      holdout: 5,
+    });
+
+    expect(test).toEqual(userRatings.slice(0, 5));
+    expect(train).toEqual(userRatings.slice(5));
+  });
+
+  test("leave-k-out holds out liked films, the same ones for the same seed", () => {
+    const options = { holdout: 3, folds: 4, seed: 7, relevantRating: 7 };
+    const splits = splitRatings(userRatings, options);
+
+    expect(splits).toHaveLength(4);
+    for (const { train, test } of splits) {
+      expect(test).toHaveLength(3);
+      expect(test.every((rating) => rating.user_rating >= 7)).toBe(true);
+      expect(train.length + test.length).toBe(userRatings.length);
+    }
+    expect(splitRatings(userRatings, options)).toEqual(splits);
+    expect(splitRatings(userRatings, { ...options, seed: 8 })).not.toEqual(
+      splits
+    );
+  });
+});
+
+describe("accuracyMetrics", () => {
+  test("scores hits by position", () => {
+    const metrics = accuracyMetrics([1, 2, 3, 4], new Set([1, 3, 9]), 4);
+
+    expect(metrics.precision).toBe(0.5);
+    expect(metrics.recall).toBeCloseTo(2 / 3);
+    const dcg = 1 + 1 / Math.log2(4);
+    const idealDcg = 1 + 1 / Math.log2(3) + 1 / Math.log2(4);
+    expect(metrics.ndcg).toBeCloseTo(dcg / idealDcg);
+  });
+
+  test("has no recall or NDCG without relevant films", () => {
+    expect(accuracyMetrics([1, 2], new Set(), 2)).toEqual({
+      precision: 0,
+      recall: null,
+      ndcg: null,
+    });
+  });
+});
+
+describe("evaluateModels", () => {
+  const options = {
+    models: ["model1", "model2", "model3"],
+    holdout: 3,
+    folds: 2,
+    seed: 42,
+    k: 10,
+  };
+
+  test("reports every metric per model", async () => {
+    const report = await evaluateModels(userRatings, options);
+
+    expect(report.folds).toBe(2);
+    expect(report.heldOut).toEqual([3, 3]);
+    expect(report.results.map((result) => result.model)).toEqual(
+      options.models
+    );
+    for (const result of report.results) {
+      expect(result.precisionAtK).toBeGreaterThanOrEqual(0);
+      expect(result.coverage).toBeGreaterThan(0);
+      expect(result.novelty).toBeGreaterThan(0);
+      expect(result.intraListDiversity).toBeGreaterThan(0);
+    }
+  });
+
+  test("gives the same metrics for the same seed", async () => {
+    const first = await evaluateModels(userRatings, options);
+    // Drop the saved models so the second run trains again
+    fs.rmSync(modelsDir, { recursive: true, force: true });
+    const second = await evaluateModels(userRatings, options);
+
+    expect(second).toEqual(first);
+  });
+});
+
+describe("POST /evaluation", () => {
+  let app;
+
+  beforeAll(async () => {
+    app = Fastify();
+    app.register(evaluation, { prefix: "/evaluation" });
+    await app.ready();
+  });
+
+  afterAll(() => app.close());
+  afterEach(() => jest.restoreAllMocks());
+
+  function queueFull() {
+    const error = new Error("Training queue is full, try again later");
+    error.code = "QUEUE_FULL";
+    error.retryAfter = 30;
+    throw error;
+  }
+
+  test("answers 503 with Retry-After when the training queue is full", async () => {
+    jest.spyOn(trainingPool, "checkCapacity").mockImplementation(queueFull);
+    const response = await app.inject({
+      method: "POST",
+      url: "/evaluation",
+      payload: { userRatings, models: ["model3", "model1"], folds: 1 },
+    });
+
+    expect(response.statusCode).toBe(503);
+    expect(response.headers["retry-after"]).toBe("30");
+  });
+
+  test("doesn't need the training queue for untrained models", async () => {
+    jest.spyOn(trainingPool, "checkCapacity").mockImplementation(queueFull);
+    const response = await app.inject({
+      method: "POST",
+      url: "/evaluation",
+      payload: { userRatings, models: ["model3"], folds: 1 },
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json().results).toHaveLength(1);
+  });
+});
@@ -0,0 +1,82 @@
+process.env.JOB_EVENTS_POLL_MS = "20";
+
+const Fastify = require("fastify");
+const {
+  publishJobEvent,
+  streamJobEvents,
+} = require("../routes/api/job-events");
+
+/**
+ * App streaming jobs whose stored state the test controls
+ */
+function createApp(jobs) {
+  const app = Fastify();
+  app.get("/events", async (request, reply) => {
+    const { jobId } = request.query;
+    return streamJobEvents(request, reply, jobId, async () => {
+      const job = jobs.get(jobId);
+      if (!job) return null;
+
+      const events = [{ event: "status", data: { status: job.status } }];
+      if (job.status === "completed" || job.status === "failed") {
+        events.push({ event: job.status, data: { status: job.status } });
+      }
+      return events;
+    });
+  });
+  return app;
+}
+
+function eventNames(body) {
+  return [...body.matchAll(/^event: (.+)$/gm)].map((match) => match[1]);
+}
+
+describe("streamJobEvents", () => {
+  test("ends with the events published on this instance", async () => {
+    const jobs = new Map([["job1", { status: "in-progress" }]]);
+    const app = createApp(jobs);
+
+    const response = app.inject({ url: "/events?jobId=job1" });
+    setTimeout(() => {
+      publishJobEvent("job1", "page", { page: 1 });
+      publishJobEvent("job1", "completed", { status: "completed" });
+    }, 5);
+
+    expect(eventNames((await response).body)).toEqual([
+      "status",
+      "page",
+      "completed",
+    ]);
+    await app.close();
+  });
+
+  test("ends once a job run elsewhere reaches a final state in the store", async () => {
+    const jobs = new Map([["job2", { status: "in-progress" }]]);
+    const app = createApp(jobs);
+
+    const response = app.inject({ url: "/events?jobId=job2" });
+    // Nothing is published here, only the stored job changes
+    setTimeout(() => jobs.set("job2", { status: "failed" }), 50);
+
+    expect(eventNames((await response).body)).toEqual(["status", "failed"]);
+    await app.close();
+  });
+
+  test("ends when the stored job disappears", async () => {
+    const jobs = new Map([["job3", { status: "in-progress" }]]);
+    const app = createApp(jobs);
+
+    const response = app.inject({ url: "/events?jobId=job3" });
+    setTimeout(() => jobs.delete("job3"), 50);
+
+    expect(eventNames((await response).body)).toEqual(["status"]);
+    await app.close();
+  });
+
+  test("rejects unknown jobs", async () => {
+    const app = createApp(new Map());
+    const response = await app.inject({ url: "/events?jobId=missing" });
+    expect(response.statusCode).toBe(400);
+    await app.close();
+  });
+});
@@ -0,0 +1,126 @@
+const v8 = require("v8");
+const {
+  createMemoryJobStore,
+  createMongoJobStore,
+} = require("../routes/api/job-store");
+
+// structuredClone needs Node 17+
+const clone = (value) => v8.deserialize(v8.serialize(value));
+
+/**
+ * In-process stand-in for a MongoDB collection, covering the methods the
+ * job store uses
+ */
+function createFakeCollection() {
+  const docs = new Map();
+  const indexes = [];
+
+  return {
+    docs,
+    indexes,
+    async createIndex(keys, options) {
+      indexes.push({ keys, options });
+    },
+    async insertOne(doc) {
+      if (docs.has(doc._id)) throw new Error("E11000 duplicate key");
+      docs.set(doc._id, clone(doc));
+    },
+    async findOne({ _id }) {
+      return docs.has(_id) ? clone(docs.get(_id)) : null;
+    },
+    find() {
+      return {
+        toArray: async () => [...docs.values()].map((doc) => clone(doc)),
+      };
+    },
+    async replaceOne({ _id }, doc, { upsert } = {}) {
+      if (docs.has(_id) || upsert) docs.set(_id, clone(doc));
+    },
+    async deleteOne({ _id }) {
+      docs.delete(_id);
+    },
+  };
+}
+
+const inAnHour = () => new Date(Date.now() + 3600000);
+const anHourAgo = () => new Date(Date.now() - 3600000);
+
+describe.each([
+  ["memory", () => createMemoryJobStore()],
+  [
+    "mongodb",
+    () => createMongoJobStore({ collection: createFakeCollection() }),
+  ],
+])("%s job store", (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  test("get returns what create stored", async () => {
+    await store.create("job1", { status: "pending", expiresAt: inAnHour() });
+    expect(await store.get("job1")).toMatchObject({ status: "pending" });
+    expect(await store.get("missing")).toBeNull();
+  });
+
+  test("changes only persist through save", async () => {
+    await store.create("job1", { status: "pending", expiresAt: inAnHour() });
+
+    const job = await store.get("job1");
+    job.status = "completed";
+    expect((await store.get("job1")).status).toBe("pending");
+
+    await store.save("job1", job);
+    expect((await store.get("job1")).status).toBe("completed");
+  });
+
+  test("expired jobs are not returned", async () => {
+    await store.create("old", { status: "completed", expiresAt: anHourAgo() });
+    await store.create("new", { status: "completed", expiresAt: inAnHour() });
+
+    expect(await store.get("old")).toBeNull();
+    expect((await store.list()).map(({ jobId }) => jobId)).toEqual(["new"]);
+  });
+
+  test("delete removes the job", async () => {
+    await store.create("job1", { status: "pending", expiresAt: inAnHour() });
+    await store.delete("job1");
+    expect(await store.get("job1")).toBeNull();
+  });
+});
+
+describe("mongodb job store", () => {
+  test("creates the expiresAt TTL index once", async () => {
+    const collection = createFakeCollection();
+    const store = createMongoJobStore({ collection });
+
+    await store.create("job1", { expiresAt: inAnHour() });
+    await store.create("job2", { expiresAt: inAnHour() });
+
+    expect(collection.indexes).toEqual([
+      { keys: { expiresAt: 1 }, options: { expireAfterSeconds: 0 } },
+    ]);
+  });
+
+  test("stores the job id as _id and strips it on the way out", async () => {
+    const collection = createFakeCollection();
+    const store = createMongoJobStore({ collection });
+
+    await store.create("job1", { status: "pending", expiresAt: inAnHour() });
+
+    expect(collection.docs.get("job1")._id).toBe("job1");
+    expect(await store.get("job1")).not.toHaveProperty("_id");
+  });
+
+  test("close closes the client", async () => {
+    const client = { close: jest.fn(async () => {}) };
+    const store = createMongoJobStore({
+      collection: createFakeCollection(),
+      client,
+    });
+
+    await store.close();
+    expect(client.close).toHaveBeenCalled();
+  });
+});
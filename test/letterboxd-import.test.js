@@ -0,0 +1,50 @@
+const AdmZip = require("adm-zip");
+const { parseLetterboxdExport } = require("../routes/api/letterboxd-import");
+
+function exportZip(files) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  return zip.toBuffer();
+}
+
+describe("parseLetterboxdExport", () => {
+  test("keeps rating dates and orders ratings newest first", () => {
+    const parsed = parseLetterboxdExport(
+      exportZip({
+        "ratings.csv": [
+          "Date,Name,Year,Letterboxd URI,Rating",
+          "2021-03-01,Old,1950,https://boxd.it/a,4",
+          "2023-07-15,New,2020,https://boxd.it/b,3.5",
+          "2022-01-10,Middle,1999,https://boxd.it/c,5",
+        ].join("\n"),
+      })
+    );
+
+    expect(parsed.ratings.map((row) => [row.Name, row.Date])).toEqual([
+      ["New", "2023-07-15"],
+      ["Middle", "2022-01-10"],
+      ["Old", "2021-03-01"],
+    ]);
+    expect(parsed.ratings[0].Rating).toBe(3.5);
+  });
+
+  test("orders diary entries by watched date, newest first", () => {
+    const parsed = parseLetterboxdExport(
+      exportZip({
+        "diary.csv": [
+          "Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date",
+          "2020-01-02,First,1960,https://boxd.it/d,3,,,2020-01-01",
+          "2020-02-02,Second,1970,https://boxd.it/e,4,Yes,,2020-02-01",
+        ].join("\n"),
+      })
+    );
+
+    expect(parsed.diary.map((entry) => entry.Name)).toEqual([
+      "Second",
+      "First",
+    ]);
+    expect(parsed.diary[0].Rewatch).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the models trained here out of data/models
+const modelsDir = fs.mkdtempSync(path.join(os.tmpdir(), "models-"));
+process.env.MODELS_DIR = modelsDir;
+
+const model1 = require("../routes/api/model1");
+const model2 = require("../routes/api/model2");
+const catalog = require("../public/processed_movies3.json");
+
+jest.setTimeout(300000);
+
+function ratings(movies, ratingOf) {
+  return movies.map((movie, index) => ({
+    id: movie.id,
+    genre_ids: movie.genre_ids.filter(Boolean),
+    user_rating: ratingOf(index),
+  }));
+}
+
+// Two users with different films and opposite tastes
+const firstUser = ratings(catalog.slice(0, 40), (index) => (index % 10) + 1);
+const secondUser = ratings(catalog.slice(40, 80), (index) => 10 - (index % 10));
+
+function ranking(recommendations) {
+  return recommendations.map((movie) => [movie.id, movie.score]);
+}
+
+// Saved models would be reused instead of trained again
+function dropSavedModels() {
+  fs.rmSync(modelsDir, { recursive: true, force: true });
+}
+
+afterAll(dropSavedModels);
+
+describe.each([
+  ["model1", model1],
+  ["model2", model2],
+])("%s", (name, model) => {
+  beforeAll(async () => {
+    await model.loadModelData();
+  });
+
+  test("concurrent trainings for different users give the results each gets alone", async () => {
+    // Seeded, so a user's results only change if another training leaks in
+    const train = (userRatings) =>
+      model.trainAndRecommend({ userRatings, seed: 42 });
+
+    dropSavedModels();
+    const firstAlone = await train(firstUser);
+    dropSavedModels();
+    const secondAlone = await train(secondUser);
+
+    dropSavedModels();
+    const [firstConcurrent, secondConcurrent] = await Promise.all([
+      train(firstUser),
+      train(secondUser),
+    ]);
+
+    expect(ranking(firstConcurrent)).toEqual(ranking(firstAlone));
+    expect(ranking(secondConcurrent)).toEqual(ranking(secondAlone));
+    expect(ranking(firstConcurrent)).not.toEqual(ranking(secondConcurrent));
+  });
+});
@@ -0,0 +1,170 @@
+const model4 = require("../routes/api/model4");
+const {
+  languageCode,
+  resolveLanguagePreferences,
+  isExcludedByLanguage,
+  languageBoost,
+  applyLanguageBoost,
+} = require("../routes/api/languages");
+const { cosineSimilarity } = require("../routes/api/tfidf");
+const { movieVector } = require("../routes/api/movie-text");
+const catalog = require("../public/processed_movies3.json");
+const anime = require("../public/anime.json");
+
+// A film only the anime list has, stored there with language_code 0
+const catalogIds = new Set(catalog.map((movie) => movie.id));
+const listOnlyFilm = anime.find((movie) => !catalogIds.has(movie.id));
+const getMovie = (id) => catalog.find((movie) => movie.id === id);
+
+const userRatings = catalog.slice(0, 20).map((movie, index) => ({
+  id: movie.id,
+  genre_ids: movie.genre_ids.filter(Boolean),
+  user_rating: ((index * 3) % 10) + 1,
+}));
+
+beforeAll(() => model4.loadModelData());
+
+describe("model4 language and era filters", () => {
+  test("leaves out excluded languages and films outside the years", async () => {
+    const results = await model4.generateRecommendations({
+      userRatings,
+      excludeLanguages: ["en"],
+      yearFrom: 1960,
+      yearTo: 1999,
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    for (const movie of results) {
+      expect(movie.language_code).toBe(1);
+      expect(Number(movie.release_year)).toBeGreaterThanOrEqual(1960);
+      expect(Number(movie.release_year)).toBeLessThanOrEqual(1999);
+    }
+  });
+
+  test("keeps only the preferred decades", async () => {
+    const results = await model4.generateRecommendations({
+      userRatings,
+      preferredDecades: [1970],
+    });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((movie) => movie.release_year.startsWith("197"))).toBe(
+      true
+    );
+  });
+
+  test("ranks films in the preferred languages higher", async () => {
+    const share = (results) =>
+      results.filter((movie) => movie.language_code === 1).length /
+      results.length;
+
+    const baseline = await model4.generateRecommendations({ userRatings });
+    const preferred = await model4.generateRecommendations({
+      userRatings,
+      preferredLanguages: ["non-en"],
+    });
+
+    expect(share(preferred.slice(0, 35))).toBeGreaterThan(
+      share(baseline.slice(0, 35))
+    );
+  });
+});
+
+describe("model4 user profile", () => {
+  const limit = 500;
+
+  test("ranks the same when every rating moves by the same amount", async () => {
+    const shifted = userRatings.map((rating) => ({
+      ...rating,
+      user_rating: rating.user_rating / 2 + 5,
+    }));
+    const ids = (results) => results.map((movie) => movie.id);
+
+    expect(
+      ids(await model4.generateRecommendations({ userRatings, limit }))
+    ).toEqual(
+      ids(await model4.generateRecommendations({ userRatings: shifted, limit }))
+    );
+  });
+
+  test("scores films like a low-rated one lower", async () => {
+    const disliked = catalog[30];
+    const baseline = await model4.generateRecommendations({
+      userRatings,
+      watched: [disliked.id],
+      limit,
+    });
+    // The recommended film whose text is closest to the disliked one
+    const closest = baseline
+      .map((movie) => ({
+        movie,
+        similarity: cosineSimilarity(
+          movieVector(getMovie(movie.id)),
+          movieVector(disliked)
+        ),
+      }))
+      .sort((a, b) => b.similarity - a.similarity)[0].movie;
+
+    const results = await model4.generateRecommendations({
+      userRatings: [
+        ...userRatings,
+        {
+          id: disliked.id,
+          genre_ids: disliked.genre_ids.filter(Boolean),
+          user_rating: 1,
+        },
+      ],
+      limit,
+    });
+    const rescored = results.find((movie) => movie.id === closest.id);
+
+    expect(rescored === undefined || rescored.score < closest.score).toBe(true);
+  });
+});
+
+describe("applyLanguageBoost", () => {
+  const preferences = { preferred: new Set([1]), byGenre: new Map() };
+  const [english] = catalog.filter((movie) => movie.language_code === 0);
+
+  test("scales the score's magnitude, negative scores included", () => {
+    expect(applyLanguageBoost(2, english, preferences)).toBe(1);
+    expect(applyLanguageBoost(-2, english, preferences)).toBe(-3);
+  });
+
+  test("leaves scores alone without explicit preferences", () => {
+    expect(
+      applyLanguageBoost(2, english, { preferred: null, byGenre: new Map() })
+    ).toBe(2);
+  });
+});
+
+describe("films missing from the full catalog", () => {
+  const excludeEnglish = resolveLanguagePreferences([], {
+    excludeLanguages: ["en"],
+  });
+  const preferOthers = resolveLanguagePreferences([], {
+    preferredLanguages: ["non-en"],
+  });
+
+  test("have no known language", () => {
+    expect(listOnlyFilm.language_code).toBe(0);
+    expect(languageCode(listOnlyFilm)).toBeNull();
+  });
+
+  test("are neither excluded nor boosted", () => {
+    expect(isExcludedByLanguage(listOnlyFilm, excludeEnglish)).toBe(false);
+    expect(languageBoost(listOnlyFilm, 16, preferOthers)).toBe(1);
+    expect(applyLanguageBoost(2, listOnlyFilm, preferOthers)).toBe(2);
+  });
+
+  test("stay in a list's recommendations when English is excluded", async () => {
+    const results = await model4.generateRecommendations({
+      userRatings,
+      movie_list: "anime",
+      excludeLanguages: ["en"],
+    });
+
+    expect(results.some((movie) => movie.language_code === null)).toBe(true);
+    expect(results.every((movie) => movie.language_code !== 0)).toBe(true);
+  });
+});
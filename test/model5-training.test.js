@@ -0,0 +1,131 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the model trained here out of data/collaborative
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), "collaborative-"));
+process.env.COLLABORATIVE_MODEL_PATH = path.join(modelDir, "model.json");
+
+const Fastify = require("fastify");
+const model3 = require("../routes/api/model3");
+const model5 = require("../routes/api/model5");
+const ensemble = require("../routes/api/ensemble");
+const { trainingPool } = require("../routes/api/worker-pool");
+const catalog = require("../public/processed_movies3.json");
+
+jest.setTimeout(60000);
+
+/**
+ * Fixed ratings of the first films in the catalog
+ */
+function ratingsFor(step) {
+  return catalog.slice(0, 40).map((movie, index) => ({
+    id: movie.id,
+    genre_ids: movie.genre_ids.filter(Boolean),
+    user_rating: ((index * step) % 10) + 1,
+  }));
+}
+
+const userRatings = ratingsFor(3).slice(0, 10);
+
+let app;
+
+beforeAll(async () => {
+  app = Fastify();
+  // The ensemble relies on the model routes to load their data
+  app.register(model3, { prefix: "/model3" });
+  app.register(model5, { prefix: "/model5" });
+  app.register(ensemble, { prefix: "/ensemble" });
+  await app.ready();
+});
+
+afterAll(async () => {
+  await app.close();
+  await trainingPool.close();
+  fs.rmSync(modelDir, { recursive: true, force: true });
+});
+
+async function waitForJob(jobId) {
+  for (;;) {
+    const response = await app.inject({
+      method: "GET",
+      url: `/model5/train/status?jobId=${jobId}`,
+    });
+    const job = response.json();
+    if (job.status === "completed" || job.status === "failed") return job;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+describe("model5 training", () => {
+  test("model5 and the ensemble answer 503 before the first training", async () => {
+    const direct = await app.inject({
+      method: "POST",
+      url: "/model5",
+      payload: { userRatings },
+    });
+    const blended = await app.inject({
+      method: "POST",
+      url: "/ensemble",
+      payload: { userRatings, weights: { model3: 1, model5: 1 } },
+    });
+
+    expect(direct.statusCode).toBe(503);
+    expect(blended.statusCode).toBe(503);
+    expect(blended.json()).toEqual(direct.json());
+  });
+
+  test("trains in a background job and then serves recommendations", async () => {
+    const users = [1, 3, 7, 9].map((step) => ({
+      username: `user${step}`,
+      userRatings: ratingsFor(step),
+    }));
+    const started = await app.inject({
+      method: "POST",
+      url: "/model5/train",
+      payload: { includeStored: false, users },
+    });
+
+    expect(started.statusCode).toBe(202);
+
+    const job = await waitForJob(started.json().jobId);
+    expect(job.status).toBe("completed");
+    expect(job.summary).toMatchObject({ users: 4, items: 40 });
+
+    const current = await app.inject({ method: "GET", url: "/model5/train" });
+    expect(current.json()).toEqual(job.summary);
+
+    const response = await app.inject({
+      method: "POST",
+      url: "/ensemble",
+      payload: { userRatings, weights: { model3: 1, model5: 1 }, limit: 5 },
+    });
+    expect(response.statusCode).toBe(200);
+    expect(response.json().results).toHaveLength(5);
+  });
+
+  test("leaves model5 out of the blend for films it can't score", async () => {
+    const response = await app.inject({
+      method: "POST",
+      url: "/ensemble",
+      payload: { userRatings, weights: { model3: 1, model5: 1 }, limit: 100 },
+    });
+    const unscored = response
+      .json()
+      .results.filter((movie) => movie.models.model5.normalizedScore === null);
+
+    expect(unscored.length).toBeGreaterThan(0);
+    for (const movie of unscored) {
+      expect(movie.score).toBeCloseTo(movie.models.model3.normalizedScore);
+    }
+  });
+
+  test("rejects unknown job ids", async () => {
+    const response = await app.inject({
+      method: "GET",
+      url: "/model5/train/status?jobId=unknown",
+    });
+
+    expect(response.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,90 @@
+const {
+  loadCatalogs,
+  getDefaultCatalog,
+} = require("../routes/api/catalog-registry");
+const {
+  createResultPage,
+  getResultPage,
+  closeResultCache,
+} = require("../routes/api/result-cache");
+const { rerankByDiversity } = require("../routes/api/diversity");
+
+beforeAll(() => loadCatalogs());
+afterAll(() => closeResultCache());
+
+/**
+ * Formatted recommendations as a model returns them, the first two explained
+ */
+function rankedResults(count) {
+  return getDefaultCatalog()
+    .slice(0, count)
+    .map((movie, index) => ({
+      ...movie,
+      score: count - index,
+      explanation:
+        index < 2
+          ? { method: "sum", contributions: [], boosts: [] }
+          : undefined,
+    }));
+}
+
+describe("result cache", () => {
+  test("returns the first page as given, explanations included", async () => {
+    const results = rankedResults(10);
+    const page = await createResultPage("model3", results, {
+      offset: 0,
+      limit: 2,
+    });
+
+    expect(page.total).toBe(10);
+    expect(page.results).toEqual(results.slice(0, 2));
+    expect(page.nextCursor).toEqual(expect.any(String));
+  });
+
+  test("rebuilds later pages from the catalogs and the stored scores", async () => {
+    const results = rankedResults(10);
+    const first = await createResultPage("model3", results, { limit: 4 });
+    const page = await getResultPage("model3", first.nextCursor, 4);
+
+    expect(page.offset).toBe(4);
+    expect(page.results).toEqual(
+      results.slice(4, 8).map(({ explanation, ...movie }) => movie)
+    );
+  });
+
+  test("keeps the ensemble's per-model scores", async () => {
+    const results = rankedResults(3).map((movie) => ({
+      ...movie,
+      models: { model3: { score: movie.score, rank: 1, normalizedScore: 1 } },
+    }));
+    const first = await createResultPage("ensemble", results, { limit: 1 });
+    const page = await getResultPage("ensemble", first.nextCursor, 1);
+
+    expect(page.results[0].models).toEqual(results[1].models);
+  });
+
+  test("rejects cursors of another route", async () => {
+    const first = await createResultPage("model3", rankedResults(3), {
+      limit: 1,
+    });
+
+    expect(await getResultPage("model4", first.nextCursor, 1)).toBeNull();
+    expect(await getResultPage("model3", "not-a-cursor", 1)).toBeNull();
+  });
+});
+
+describe("rerankByDiversity", () => {
+  test("keeps the score order without diversity", () => {
+    const results = rankedResults(20);
+    expect(rerankByDiversity(results, 0, 5)).toEqual(results.slice(0, 5));
+  });
+
+  test("picks each candidate at most once and starts with the best", () => {
+    const results = rankedResults(200);
+    const reranked = rerankByDiversity(results, 0.5, 100);
+
+    expect(reranked).toHaveLength(100);
+    expect(new Set(reranked).size).toBe(100);
+    expect(reranked[0]).toBe(results[0]);
+  });
+});
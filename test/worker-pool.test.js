@@ -0,0 +1,31 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createWorkerPool } = require("../routes/api/worker-pool");
+
+// A worker that never answers keeps its task, and those behind it, pending
+const workerDir = fs.mkdtempSync(path.join(os.tmpdir(), "worker-pool-"));
+const workerFile = path.join(workerDir, "idle-worker.js");
+fs.writeFileSync(
+  workerFile,
+  'require("worker_threads").parentPort.on("message", () => {});\n'
+);
+
+let pool;
+
+afterEach(() => pool.close());
+afterAll(() => fs.rmSync(workerDir, { recursive: true, force: true }));
+
+describe("worker pool", () => {
+  test("checks room for several tasks at once", () => {
+    pool = createWorkerPool(workerFile, { size: 1, maxQueue: 2 });
+    pool.run({}).catch(() => {});
+    pool.run({}).catch(() => {});
+
+    expect(pool.stats().queued).toBe(1);
+    expect(() => pool.checkCapacity()).not.toThrow();
+    expect(() => pool.checkCapacity(2)).toThrow(
+      expect.objectContaining({ code: "QUEUE_FULL" })
+    );
+  });
+});